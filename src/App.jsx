@@ -6,10 +6,11 @@
  * - Navigation between pages
  * - Sidebar toggle functionality
  * - Fixed header and responsive layout
+ * - Audience route without header and sidebar for a second screen
  */
 
 import React, {useState} from 'react'
-import {Routes, Route} from 'react-router-dom'
+import {Routes, Route, useLocation} from 'react-router-dom'
 import Header from './components/Header'
 import Sidebar from './components/Sidebar'
 import HomePage from './components/HomePage'
@@ -20,6 +21,11 @@ import LyricsPlaybackScreen from './components/LyricsPlaybackScreen'
 import LibraryPage from './components/LibraryPage'
 
 function App() {
+	const location = useLocation()
+	
+	// The audience window shows nothing but the lyrics
+	const isAudienceWindow = location.pathname === '/audience'
+	
 	// Sidebar visibility state
 	const [sidebarOpen, setSidebarOpen] = useState(false)
 	
@@ -36,13 +42,13 @@ function App() {
 	return (
 		<div className="App">
 			{/* Fixed header with navigation */}
-			<Header onToggleSidebar={toggleSidebar}/>
+			{!isAudienceWindow && <Header onToggleSidebar={toggleSidebar}/>}
 			
 			{/* Slide-out sidebar */}
-			<Sidebar isOpen={sidebarOpen} onClose={closeSidebar}/>
+			{!isAudienceWindow && <Sidebar isOpen={sidebarOpen} onClose={closeSidebar}/>}
 			
 			{/* Main content area with routing */}
-			<main style={{
+			<main style={isAudienceWindow ? {} : {
 				marginTop: '48px', // Account for fixed header (now 48px height)
 				minHeight: 'calc(100vh - 48px)' // Fill remaining viewport height
 			}}>
@@ -52,6 +58,7 @@ function App() {
 					<Route path="/lyrics-input" element={<LyricsInputPage/>}/>
 					<Route path="/timing-sync" element={<TimingSyncPage/>}/>
 					<Route path="/playback" element={<LyricsPlaybackScreen/>}/>
+					<Route path="/audience" element={<LyricsPlaybackScreen audience/>}/>
 					<Route path="/library" element={<LibraryPage/>}/>
 				</Routes>
 			</main>
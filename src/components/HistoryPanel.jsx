@@ -0,0 +1,104 @@
+/**
+ * HistoryPanel Component
+ *
+ * Undo/redo controls and edit history list for the timing editor.
+ * Features:
+ * - Undo and redo buttons with keyboard shortcut hints
+ * - Chronological list of edits, undone edits greyed out
+ * - Click an entry to jump back to the state before it or redo up to it
+ */
+
+import React from 'react'
+
+/**
+ * @param {Object} props
+ * @param {Object} props.history - History with past and future entries
+ * @param {Function} props.onTravel - Called with steps (negative undoes, positive redoes)
+ */
+function HistoryPanel({history, onTravel}) {
+	const canUndo = history.past.length > 0
+	const canRedo = history.future.length > 0
+	const redoEntries = [...history.future].reverse() // Next redo first
+
+	const buttonStyle = (enabled) => ({
+		flex: 1,
+		padding: '6px 12px',
+		borderRadius: '6px',
+		border: `2px solid ${enabled ? '#667eea' : '#ddd'}`,
+		background: 'white',
+		color: enabled ? '#667eea' : '#aaa',
+		cursor: enabled ? 'pointer' : 'not-allowed',
+		fontSize: '0.85rem'
+	})
+
+	const entryStyle = (undone) => ({
+		display: 'block',
+		width: '100%',
+		textAlign: 'left',
+		padding: '4px 8px',
+		border: 'none',
+		borderBottom: '1px solid #eee',
+		background: 'white',
+		color: undone ? '#aaa' : '#333',
+		textDecoration: undone ? 'line-through' : 'none',
+		cursor: 'pointer',
+		fontSize: '0.8rem'
+	})
+
+	return (
+		<div>
+			<div style={{display: 'flex', gap: '0.5rem', marginBottom: '0.5rem'}}>
+				<button
+					onClick={() => onTravel(-1)}
+					disabled={!canUndo}
+					title="Ctrl+Z"
+					style={buttonStyle(canUndo)}
+				>
+					↶ Undo
+				</button>
+				<button
+					onClick={() => onTravel(1)}
+					disabled={!canRedo}
+					title="Ctrl+Shift+Z"
+					style={buttonStyle(canRedo)}
+				>
+					↷ Redo
+				</button>
+			</div>
+
+			{!canUndo && !canRedo ? (
+				<p style={{fontSize: '0.8rem', color: '#999', margin: 0}}>No edits yet</p>
+			) : (
+				<div style={{
+					maxHeight: '200px',
+					overflowY: 'auto',
+					border: '1px solid #eee',
+					borderRadius: '6px'
+				}}>
+					{history.past.map((entry, index) => (
+						<button
+							key={`past-${index}`}
+							onClick={() => onTravel(index - history.past.length)}
+							title="Undo to before this edit"
+							style={entryStyle(false)}
+						>
+							{entry.label}
+						</button>
+					))}
+					{redoEntries.map((entry, index) => (
+						<button
+							key={`future-${index}`}
+							onClick={() => onTravel(index + 1)}
+							title="Redo up to this edit"
+							style={entryStyle(true)}
+						>
+							{entry.label}
+						</button>
+					))}
+				</div>
+			)}
+		</div>
+	)
+}
+
+export default HistoryPanel
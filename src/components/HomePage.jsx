@@ -5,15 +5,40 @@
  * Features:
  * - Welcome message and branding
  * - Navigation to create new karaoke files
+ * - Resume saved projects from IndexedDB
  * - Feature highlights and overview
  * - Responsive design with gradient background
  */
 
-import React from 'react'
+import React, {useState, useEffect} from 'react'
 import {Link, useNavigate} from 'react-router-dom'
+import {listProjects, deleteProject} from '../utils/projectStorage'
+
+// Number of saved projects listed for resuming
+const RECENT_PROJECT_COUNT = 5
 
 function HomePage() {
 	const navigate = useNavigate();
+	const [savedProjects, setSavedProjects] = useState([])
+	
+	// Load saved projects for the resume list
+	useEffect(() => {
+		listProjects()
+			.then(projects => setSavedProjects(projects))
+			.catch(error => console.error('Error listing projects:', error))
+	}, [])
+	
+	/**
+	 * Delete a saved project after confirmation
+	 * @param {Object} project - Project record
+	 */
+	const handleDeleteProject = (project) => {
+		if (!window.confirm(`Delete project "${project.name}"?`)) return
+		
+		deleteProject(project.id)
+			.then(() => setSavedProjects(projects => projects.filter(p => p.id !== project.id)))
+			.catch(error => console.error('Error deleting project:', error))
+	}
 
 	return (
 		<div style={{
@@ -76,6 +101,69 @@ function HomePage() {
 					</button>
 				</div>
 				
+				{/* Saved projects */}
+				{savedProjects.length > 0 && (
+					<div style={{
+						marginTop: '2rem',
+						marginLeft: 'auto',
+						marginRight: 'auto',
+						padding: '1.5rem',
+						background: 'rgba(255,255,255,0.1)',
+						borderRadius: '12px',
+						backdropFilter: 'blur(10px)',
+						maxWidth: '600px',
+						textAlign: 'left'
+					}}>
+						<h3 style={{marginBottom: '1rem', fontSize: '1.3rem'}}>📂 Resume Project</h3>
+						{savedProjects.slice(0, RECENT_PROJECT_COUNT).map(project => (
+							<div
+								key={project.id}
+								style={{
+									display: 'flex',
+									alignItems: 'center',
+									gap: '1rem',
+									padding: '0.5rem 0',
+									borderTop: '1px solid rgba(255,255,255,0.2)'
+								}}
+							>
+								<div style={{flex: 1, minWidth: 0}}>
+									<div style={{fontWeight: 'bold', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'}}>
+										{project.name}
+									</div>
+									<div style={{fontSize: '0.8rem', opacity: 0.8}}>
+										{project.recordingMode} mode · saved {new Date(project.updatedAt).toLocaleString()}
+									</div>
+								</div>
+								<button
+									onClick={() => navigate('/timing-sync', {state: {projectId: project.id}})}
+									style={{
+										padding: '8px 16px',
+										background: 'rgba(255,255,255,0.2)',
+										border: '2px solid white',
+										color: 'white',
+										borderRadius: '50px'
+									}}
+								>
+									Resume
+								</button>
+								<button
+									onClick={() => handleDeleteProject(project)}
+									title="Delete project"
+									style={{
+										padding: '4px 8px',
+										background: 'none',
+										border: 'none',
+										color: 'white',
+										opacity: 0.7
+									}}
+								>
+									✕
+								</button>
+							</div>
+						))}
+					</div>
+				)}
+				
 				{/* Feature highlights grid */}
 				<div style={{
 					marginTop: '4rem',
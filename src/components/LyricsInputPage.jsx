@@ -3,16 +3,38 @@
  * 
  * Second step in karaoke creation process - handles lyrics input.
  * Features:
- * - Two input methods: paste text or upload .txt file
- * - Drag & drop .txt file upload
+ * - Input methods: paste text, upload .txt file, JSON karaoke file or timed lyrics file
+ * - Drag & drop file upload
+ * - LRC / Enhanced LRC and UltraStar import with pre-filled timestamps
+ * - Validation report for uploaded JSON karaoke files
  * - Live preview of entered lyrics
  * - Block separation by double line breaks
+ * - Syllable splitting by hyphenation (English/German) or manual | markers
+ * - Lyrics language for Unicode-aware word and character segmentation
+ * - Text direction (auto-detected per line or fixed right-to-left / left-to-right)
+ * - Furigana readings entered as 漢字{かんじ}, shown as ruby text in the preview
+ * - Optional translation and romanization pasted as parallel texts, aligned by line
  * - Creates JSON structure for timing synchronization
  * - Navigation to timing sync page
  */
 
 import React, {useRef, useState} from 'react'
 import {useLocation, useNavigate} from 'react-router-dom'
+import {
+	KARAOKE_FORMAT_VERSION,
+	createBlockToken,
+	createDefaultVoices,
+	createLineToken
+} from '../utils/karaokeBuilder'
+import {getLineText} from '../utils/karaokeText'
+import {HYPHENATION_LANGUAGES, SYLLABLE_MARKER} from '../utils/syllables'
+import {LYRICS_LANGUAGES} from '../utils/textSegmentation'
+import {TEXT_DIRECTIONS} from '../utils/textDirection'
+import {PARALLEL_TEXT_FIELDS, applyParallelText, countKaraokeLines, splitParallelLines} from '../utils/parallelText'
+import {importLrc} from '../utils/lrc'
+import {importUltraStar, isUltraStarText} from '../utils/ultrastar'
+import {parseKaraokeJson} from '../utils/karaokeSchema'
+import ValidationReport from './ValidationReport'
 
 function LyricsInputPage() {
 	const location = useLocation()
@@ -22,10 +44,15 @@ function LyricsInputPage() {
 	// Lyrics input state management
 	const [lyrics, setLyrics] = useState('')
 	const [dragActive, setDragActive] = useState(false)
-	const [uploadMethod, setUploadMethod] = useState('paste') // 'paste', 'file', or 'json'
+	const [uploadMethod, setUploadMethod] = useState('paste') // 'paste', 'file', 'json' or 'timed'
 	const [karaokeData, setKaraokeData] = useState(null)
+	const [validationReport, setValidationReport] = useState(null) // {fileName, errors, warnings, migrations}
+	const [language, setLanguage] = useState('en') // Lyrics language for segmentation and hyphenation
+	const [direction, setDirection] = useState('auto') // 'auto' detects right-to-left lines by their script
+	const [parallelTexts, setParallelTexts] = useState({romanization: '', translation: ''}) // Aligned with the lyrics by line
 	const fileInputRef = useRef(null)
 	const jsonInputRef = useRef(null)
+	const timedInputRef = useRef(null)
 	
 	// Handle textarea input changes
 	const handleLyricsChange = (event) => {
@@ -44,6 +71,23 @@ function LyricsInputPage() {
 		processJsonFile(file)
 	}
 	
+	// Handle LRC / UltraStar file input selection
+	const handleTimedFileSelect = (event) => {
+		const file = event.target.files[0]
+		processTimedFile(file)
+	}
+	
+	/**
+	 * Extract plain lyrics text from karaoke data for the preview
+	 * @param {Object} data - Karaoke data structure
+	 * @returns {string} Lyrics with blank lines between blocks
+	 */
+	const extractLyricsText = (data) => {
+		return data.blocks.map(block => {
+			return block.lines.map(line => getLineText(line)).join('\n')
+		}).join('\n\n')
+	}
+	
 	/**
 	 * Process uploaded text file
 	 * @param {File} file - The uploaded .txt file
@@ -68,23 +112,16 @@ function LyricsInputPage() {
 		if (file && file.name.endsWith('.json')) {
 			const reader = new FileReader()
 			reader.onload = (e) => {
-				try {
-					const jsonData = JSON.parse(e.target.result)
+				// Validate against the karaoke schema, errors block loading
+				// Older format versions are migrated first
+				const {data, errors, warnings, migrations} = parseKaraokeJson(e.target.result)
+				setValidationReport({fileName: file.name, errors, warnings, migrations})
+				
+				if (data) {
+					setKaraokeData(data)
 					
-					// Validate that it's a proper karaoke JSON
-					if (jsonData.blocks && Array.isArray(jsonData.blocks)) {
-						setKaraokeData(jsonData)
-						
-						// Extract lyrics text from JSON for preview
-						const extractedLyrics = jsonData.blocks.map(block => {
-							return block.lines.map(line => line.text).join('\n')
-						}).join('\n\n')
-						setLyrics(extractedLyrics)
-					} else {
-						alert('Invalid karaoke file format. Please upload a properly formatted karaoke JSON file.')
-					}
-				} catch (error) {
-					alert('Error reading karaoke file. Please ensure it\'s a valid JSON file.')
+					// Extract lyrics text from JSON for preview
+					setLyrics(extractLyricsText(data))
 				}
 			}
 			reader.readAsText(file)
@@ -93,6 +130,48 @@ function LyricsInputPage() {
 		}
 	}
 	
+	/**
+	 * Process uploaded timed lyrics file (LRC, Enhanced LRC or UltraStar)
+	 * Timestamps from the file are kept so timing sync starts pre-filled
+	 * @param {File} file - The uploaded .lrc or UltraStar .txt file
+	 */
+	const processTimedFile = (file) => {
+		const fileName = file ? file.name.toLowerCase() : ''
+		if (fileName.endsWith('.lrc') || fileName.endsWith('.txt')) {
+			const reader = new FileReader()
+			reader.onload = (e) => {
+				const text = e.target.result
+				const importOptions = {audioFileName: audioFile ? audioFile.name : null, language}
+				let timedData
+				
+				if (fileName.endsWith('.txt')) {
+					if (!isUltraStarText(text)) {
+						alert('This text file is not an UltraStar song. Use "Upload Text File" for plain lyrics.')
+						return
+					}
+					try {
+						timedData = importUltraStar(text, importOptions)
+					} catch (error) {
+						alert(`Error reading UltraStar file: ${error.message}`)
+						return
+					}
+				} else {
+					timedData = importLrc(text, importOptions)
+				}
+				
+				if (timedData.blocks.length > 0) {
+					setKaraokeData(timedData)
+					setLyrics(extractLyricsText(timedData))
+				} else {
+					alert('No timed lyrics found in this file.')
+				}
+			}
+			reader.readAsText(file)
+		} else {
+			alert('Please select a valid LRC (.lrc) or UltraStar (.txt) file')
+		}
+	}
+	
 	/**
 	 * Handle drag and drop events for file upload
 	 * @param {DragEvent} e - Drag event
@@ -116,6 +195,8 @@ function LyricsInputPage() {
 			const file = e.dataTransfer.files[0]
 			if (uploadMethod === 'json') {
 				processJsonFile(file)
+			} else if (uploadMethod === 'timed') {
+				processTimedFile(file)
 			} else {
 				processFile(file)
 			}
@@ -126,12 +207,17 @@ function LyricsInputPage() {
 	const clearLyrics = () => {
 		setLyrics('')
 		setKaraokeData(null)
+		setValidationReport(null)
+		setParallelTexts({romanization: '', translation: ''})
 		if (fileInputRef.current) {
 			fileInputRef.current.value = ''
 		}
 		if (jsonInputRef.current) {
 			jsonInputRef.current.value = ''
 		}
+		if (timedInputRef.current) {
+			timedInputRef.current.value = ''
+		}
 	}
 	
 	/**
@@ -157,57 +243,51 @@ function LyricsInputPage() {
 		}
 		
 		const karaokeData = {
-			version: "1",
+			version: KARAOKE_FORMAT_VERSION,
 			audioFile: audioFile ? audioFile.name : null,
-			voices: [
-				{
-					id: 1,
-					name: "",
-					default_position: "C",
-					color: "#87CEEB"
-				}
-			],
-			blocks: blockTexts.map((blockText, blockIndex) => {
+			language,
+			direction,
+			voices: createDefaultVoices(),
+			blocks: blockTexts.map((blockText) => {
 				const lines = blockText.split('\n').filter(line => line.trim())
 				
-				return {
-					text: "",
-					start: 0, // Initialize all timestamps to 0
-					end: 0,
-					voice: 0, // 0 = undefined, will be set during recording
-					position: "C",
-					lines: lines.map((lineText, lineIndex) => ({
-						text: lineText,
-						start: 0, // Initialize all timestamps to 0
-						end: 0,
-						voice: 0, // 0 = undefined, will be set during recording
-						position: "",
-						words: (() => {
-							return lineText.split(/( )/g).filter(word => word.length > 0)
-						})().map((wordText) => ({
-							text: wordText,
-							start: 0, // Initialize all timestamps to 0
-							end: 0,
-							voice: 0, // 0 = undefined, will be set during recording
-							position: "",
-							chars: (() => {
-								return wordText.split('')
-							})().map((charText) => ({
-								text: charText,
-								start: 0, // Initialize all timestamps to 0
-								end: 0,
-								voice: 0, // 0 = undefined, will be set during recording
-								position: ""
-							}))
-						}))
-					}))
-				}
+				// All timestamps start at 0 and are filled in during recording
+				// Words and chars are segmented for the language, | markers in the text win over hyphenation
+				return createBlockToken(lines.map(lineText => createLineToken(lineText, {language})))
 			})
 		}
 		
 		return karaokeData
 	}
-	
+
+	/**
+	 * Render a word of the lyrics preview with syllable dots and ruby readings
+	 * @param {Object} word - Word token from createLineToken
+	 * @param {number} wordIndex - Index of the word in its line
+	 */
+	const renderPreviewWord = (word, wordIndex) => {
+		const rubyStyle = {rubyPosition: 'over'}
+		const rtStyle = {fontSize: '0.65em', color: '#667eea'}
+
+		// Char readings (食{た}べる) replace the syllable dots of the word
+		if (word.chars.some(char => char.reading)) {
+			return (
+				<span key={wordIndex}>
+					{word.chars.map((char, charIndex) => char.reading ? (
+						<ruby key={charIndex} style={rubyStyle}>{char.text}<rt style={rtStyle}>{char.reading}</rt></ruby>
+					) : char.text)}
+				</span>
+			)
+		}
+
+		const text = word.syllables.map(syllable => syllable.text).join('·')
+		return word.reading ? (
+			<ruby key={wordIndex} style={rubyStyle}>{text}<rt style={rtStyle}>{word.reading}</rt></ruby>
+		) : (
+			<span key={wordIndex}>{text}</span>
+		)
+	}
+
 	// Navigate to timing synchronization page
 	const handleNextStep = () => {
 		if (!lyrics.trim()) {
@@ -216,7 +296,14 @@ function LyricsInputPage() {
 		}
 		
 		// Use uploaded JSON data if available, otherwise create new JSON structure
-		const finalKaraokeData = karaokeData || createKaraokeJSON(lyrics)
+		let finalKaraokeData = karaokeData || createKaraokeJSON(lyrics)
+		
+		// Pasted translation and romanization replace the ones of uploaded files
+		PARALLEL_TEXT_FIELDS.forEach(({key}) => {
+			if (parallelTexts[key].trim()) {
+				finalKaraokeData = applyParallelText(finalKaraokeData, key, parallelTexts[key])
+			}
+		})
 		
 		navigate('/timing-sync', {
 			state: {
@@ -226,6 +313,11 @@ function LyricsInputPage() {
 		})
 	}
 	
+	// Lines the parallel texts are aligned with
+	const lyricLineCount = karaokeData
+		? countKaraokeLines(karaokeData)
+		: lyrics.split('\n').filter(line => line.trim()).length
+	
 	return (
 		<div style={{
 			minHeight: 'calc(100vh - 48px)', // Account for 48px header
@@ -247,7 +339,7 @@ function LyricsInputPage() {
 							Add Lyrics
 						</h1>
 						<p style={{color: '#666'}}>
-							Paste lyrics, upload a text file, or upload an existing JSON karaoke file
+							Paste lyrics, upload a text file, or upload an existing JSON karaoke, LRC or UltraStar file
 						</p>
 						{/* Show audio file confirmation */}
 						{audioFile && (
@@ -314,8 +406,33 @@ function LyricsInputPage() {
 						>
 							📁 Upload JSON File
 						</button>
+						<button
+							onClick={() => setUploadMethod('timed')}
+							style={{
+								padding: '10px 20px',
+								borderRadius: '25px',
+								border: `2px solid ${uploadMethod === 'timed' ? '#667eea' : '#ddd'}`,
+								background: uploadMethod === 'timed' ? '#667eea' : 'white',
+								color: uploadMethod === 'timed' ? 'white' : '#666',
+								cursor: 'pointer',
+								transition: 'all 0.2s'
+							}}
+						>
+							🎼 Upload LRC / UltraStar
+						</button>
 					</div>
 					
+					{/* Validation report for the last uploaded JSON file */}
+					{validationReport && uploadMethod === 'json' && (
+						<ValidationReport
+							fileName={validationReport.fileName}
+							errors={validationReport.errors}
+							warnings={validationReport.warnings}
+							migrations={validationReport.migrations}
+							onDismiss={() => setValidationReport(null)}
+						/>
+					)}
+					
 					{/* Conditional input method display */}
 					{uploadMethod === 'paste' ? (
 						/* Paste Method - Text area input */
@@ -427,6 +544,85 @@ function LyricsInputPage() {
 								Browse Files
 							</button>
 						</div>
+					) : uploadMethod === 'timed' ? (
+						/* Timed Upload Method - Drag & drop area for LRC and UltraStar files */
+						<div
+							style={{
+								border: `3px dashed ${dragActive ? '#667eea' : '#ddd'}`,
+								borderRadius: '12px',
+								padding: '3rem',
+								textAlign: 'center',
+								marginBottom: '2rem',
+								background: dragActive ? '#f0f4ff' : karaokeData ? '#e8f5e8' : '#fafafa',
+								transition: 'all 0.3s ease',
+								cursor: 'pointer'
+							}}
+							onDragEnter={handleDrag}
+							onDragLeave={handleDrag}
+							onDragOver={handleDrag}
+							onDrop={handleDrop}
+							onClick={() => timedInputRef.current?.click()}
+						>
+							<div style={{fontSize: '3rem', marginBottom: '1rem'}}>
+								{karaokeData ? '✅' : dragActive ? '📁' : '🎼'}
+							</div>
+							<h3 style={{marginBottom: '1rem', color: '#333'}}>
+								{karaokeData ? 'Lyrics File Loaded!' :
+								 dragActive ? 'Drop your lyrics file here!' : 'Upload LRC or UltraStar File'}
+							</h3>
+							<p style={{color: '#666', marginBottom: '1.5rem'}}>
+								{karaokeData ? `File loaded with ${karaokeData.blocks.length} blocks and existing timing data` :
+								 dragActive ? 'Release to upload your file' : 'Drag & drop a .lrc, Enhanced LRC or UltraStar .txt file here, or click to browse'}
+							</p>
+							<input
+								ref={timedInputRef}
+								type="file"
+								accept=".lrc,.txt"
+								onChange={handleTimedFileSelect}
+								style={{display: 'none'}}
+							/>
+							<button
+								type="button"
+								onClick={(e) => {
+									e.stopPropagation()
+									timedInputRef.current?.click()
+								}}
+								style={{
+									padding: '12px 24px',
+									border: '2px solid #667eea',
+									borderRadius: '6px',
+									background: 'white',
+									color: '#667eea',
+									cursor: 'pointer',
+									fontSize: '1rem',
+									fontWeight: '500'
+								}}
+							>
+								{karaokeData ? 'Replace Lyrics File' : 'Browse Files'}
+							</button>
+							
+							{karaokeData && (
+								<div style={{
+									marginTop: '1rem',
+									padding: '1rem',
+									background: 'rgba(255,255,255,0.8)',
+									borderRadius: '6px',
+									fontSize: '0.9rem',
+									color: '#333'
+								}}>
+									<div><strong>Blocks:</strong> {karaokeData.blocks.length}</div>
+									{karaokeData.voices && karaokeData.voices.length > 1 && (
+										<div><strong>Voices:</strong> {karaokeData.voices.length}</div>
+									)}
+									{karaokeData.title && (
+										<div><strong>Title:</strong> {karaokeData.title}</div>
+									)}
+									{karaokeData.artist && (
+										<div><strong>Artist:</strong> {karaokeData.artist}</div>
+									)}
+								</div>
+							)}
+						</div>
 					) : (
 						/* JSON Upload Method - Drag & drop area for JSON files */
 						<div
@@ -505,6 +701,54 @@ function LyricsInputPage() {
 						</div>
 					)}
 					
+					{/* Parallel texts - shown when lyrics exist */}
+					{lyrics && (
+						<div style={{marginBottom: '2rem'}}>
+							<h4 style={{marginBottom: '0.5rem', color: '#333'}}>Romanization & Translation (optional)</h4>
+							<p style={{fontSize: '0.85rem', color: '#666', marginBottom: '1rem'}}>
+								Paste one line per lyrics line, empty lines are skipped like between blocks.
+							</p>
+							<div style={{display: 'flex', gap: '1rem', flexWrap: 'wrap'}}>
+								{PARALLEL_TEXT_FIELDS.map(field => {
+									const parallelLineCount = splitParallelLines(parallelTexts[field.key]).length
+									return (
+										<div key={field.key} style={{flex: 1, minWidth: '250px'}}>
+											<label style={{display: 'block', marginBottom: '0.5rem', color: '#333', fontWeight: '600'}}>
+												{field.label}
+											</label>
+											<textarea
+												value={parallelTexts[field.key]}
+												onChange={(e) => setParallelTexts({...parallelTexts, [field.key]: e.target.value})}
+												placeholder={`${field.label}, aligned with the lyrics line by line`}
+												style={{
+													width: '100%',
+													height: '150px',
+													padding: '0.75rem',
+													border: '2px solid #ddd',
+													borderRadius: '8px',
+													fontSize: '0.9rem',
+													fontFamily: 'monospace',
+													resize: 'vertical',
+													lineHeight: '1.5',
+													boxSizing: 'border-box'
+												}}
+											/>
+											{parallelLineCount > 0 && (
+												<div style={{
+													fontSize: '0.85rem',
+													color: parallelLineCount === lyricLineCount ? '#28a745' : '#856404'
+												}}>
+													{parallelLineCount} of {lyricLineCount} lines
+													{parallelLineCount !== lyricLineCount && ' ⚠️ line counts differ, lines are matched in order'}
+												</div>
+											)}
+										</div>
+									)
+								})}
+							</div>
+						</div>
+					)}
+					
 					{/* Lyrics preview area - shown when lyrics exist */}
 					{lyrics && (
 						<div style={{
@@ -515,6 +759,49 @@ function LyricsInputPage() {
 							border: '1px solid #e9ecef'
 						}}>
 							<h4 style={{marginBottom: '1rem', color: '#333'}}>Lyrics Preview:</h4>
+							{!karaokeData && (
+								<div style={{
+									display: 'flex',
+									alignItems: 'center',
+									gap: '0.5rem',
+									flexWrap: 'wrap',
+									marginBottom: '1rem',
+									fontSize: '0.9rem',
+									color: '#666'
+								}}>
+									<label>
+										Language:{' '}
+										<select
+											value={language}
+											onChange={(e) => setLanguage(e.target.value)}
+											style={{padding: '4px 8px', borderRadius: '4px', border: '1px solid #ddd'}}
+										>
+											{LYRICS_LANGUAGES.map(option => (
+												<option key={option.value} value={option.value}>{option.label}</option>
+											))}
+										</select>
+									</label>
+									<label>
+										Direction:{' '}
+										<select
+											value={direction}
+											onChange={(e) => setDirection(e.target.value)}
+											style={{padding: '4px 8px', borderRadius: '4px', border: '1px solid #ddd'}}
+										>
+											{TEXT_DIRECTIONS.map(option => (
+												<option key={option.value} value={option.value}>{option.label}</option>
+											))}
+										</select>
+									</label>
+									<span>
+										{HYPHENATION_LANGUAGES.some(option => option.value === language)
+											? 'Syllables are hyphenated automatically. '
+											: 'No automatic hyphenation for this language, words stay one syllable. '}
+										Add <code>{SYLLABLE_MARKER}</code> inside a word to split it yourself, e.g. beau{SYLLABLE_MARKER}ti{SYLLABLE_MARKER}ful.
+										Add readings after kanji in braces, e.g. <code>漢字{'{'}かんじ{'}'}</code>
+									</span>
+								</div>
+							)}
 							<div style={{
 								maxHeight: '200px',
 								overflowY: 'auto',
@@ -527,7 +814,11 @@ function LyricsInputPage() {
 								lineHeight: '1.4',
 								whiteSpace: 'pre-wrap'
 							}}>
-								{lyrics}
+								{karaokeData ? lyrics : lyrics.split('\n').map((line, lineIndex) => (
+									<div key={lineIndex} dir={direction} style={{minHeight: '1.4em'}}>
+										{createLineToken(line, {language}).words.map((word, wordIndex) => renderPreviewWord(word, wordIndex))}
+									</div>
+								))}
 							</div>
 						</div>
 					)}
@@ -4,16 +4,43 @@
  * Playback mode for karaoke with real-time highlighting and progress bars.
  * Features:
  * - Text highlighting: darker color before, real color during playback
- * - Progress bars for lines, words, and characters
+ * - Progress bars for lines, words, syllables and characters
+ * - Furigana readings as ruby text with their own wipe
+ * - Romanization and translation under the sung line, toggleable per screen
+ * - Right-to-left lines (Hebrew, Arabic, Persian) laid out and wiped from the right
+ * - Stage layout placing each voice's lines at its position, duet lines side by side
+ * - Two-line mode (current and next line alternating top and bottom) and a window of past/upcoming lines
+ * - Countdown before lines after long gaps and an instrumental placeholder during them
  * - Fullscreen mode for the preview area
+ * - Audience window on a second screen, following the audio clock over BroadcastChannel
  * - Space characters handled with continuous progress bars
  * - Block scrolling and token highlighting
+ * - Subtitle export of the loaded karaoke data
+ * - Validation report for uploaded karaoke files
+ * - Selectable timing distribution for files without timing
  */
 
 import React, { useState, useRef, useEffect } from 'react'
 import { useLocation, useNavigate } from 'react-router-dom'
+import SubtitleExportPanel from './SubtitleExportPanel'
+import ValidationReport from './ValidationReport'
+import { parseKaraokeJson } from '../utils/karaokeSchema'
+import { DISTRIBUTION_STRATEGIES, distributeTiming } from '../utils/timingDistribution'
+import { decodeAudio } from '../utils/audioAnalysis'
+import { detectOnsets } from '../utils/onsetDetection'
+import { splitChars } from '../utils/karaokeBuilder'
+import { PARALLEL_TEXT_FIELDS } from '../utils/parallelText'
+import { getLineDirection } from '../utils/textDirection'
+import { blendColors, getMemberVoices, getStageLines, groupStageLines } from '../utils/stageLayout'
+import { getLineWindow, getSongLines, getTwoLineSlots } from '../utils/lineWindow'
+import { COUNTDOWN_BEATS, COUNTDOWN_STYLES, findLongGaps, getGapIndicator } from '../utils/countdown'
+import { AUDIENCE_CHANNEL, SYNC_INTERVAL, createClockMessage, getClockTime, openAudienceChannel, stopClock, syncClock } from '../utils/audienceSync'
 
-function LyricsPlaybackScreen() {
+/**
+ * @param {Object} props
+ * @param {boolean} props.audience - Lyrics only, driven by the operator window instead of own audio
+ */
+function LyricsPlaybackScreen({ audience = false }) {
 	const location = useLocation()
 	const navigate = useNavigate()
 	
@@ -21,6 +48,7 @@ function LyricsPlaybackScreen() {
 	const [lyricsJson, setLyricsJson] = useState(location.state?.lyricsJson)
 	const [audioUrl, setAudioUrl] = useState(location.state?.audioUrl)
 	const [uploadMode, setUploadMode] = useState(false)
+	const [validationReport, setValidationReport] = useState(null) // { fileName, errors, warnings, migrations }
 	
 	// Handle audioFile from navigation (create blob URL)
 	useEffect(() => {
@@ -43,9 +71,27 @@ function LyricsPlaybackScreen() {
 	const [playbackSpeed, setPlaybackSpeed] = useState(1.0)
 	const [isFullscreen, setIsFullscreen] = useState(false)
 	
+	// Timing distribution for files without timing data
+	const [distributionStrategy, setDistributionStrategy] = useState('chars')
+	const [audioOnsets, setAudioOnsets] = useState(null) // Detected for the onsets strategy
+	
+	// Secondary lines shown under the sung lines
+	const [visibleParallelFields, setVisibleParallelFields] = useState(PARALLEL_TEXT_FIELDS.map(field => field.key))
+	
+	// 'auto' uses the stage layout when the file has more than one voice
+	const [layoutMode, setLayoutMode] = useState('auto') // 'auto', 'scroll', 'stage', 'two-line' or 'window'
+	const [windowPast, setWindowPast] = useState(1) // Lines before the current line in the window layout
+	const [windowUpcoming, setWindowUpcoming] = useState(2) // Lines after it
+	
+	// Entry cues after instrumental parts
+	const [countdownStyle, setCountdownStyle] = useState('dots') // 'dots', 'numbers' or 'off'
+	const [minGapSeconds, setMinGapSeconds] = useState(8)
+	
 	const audioRef = useRef(null)
 	const fullscreenRef = useRef(null)
 	const fileInputRef = useRef(null)
+	const audienceChannelRef = useRef(null)
+	const audienceClockRef = useRef(null) // Local copy of the operator clock in the audience window
 	
 	// Initialize audio
 	useEffect(() => {
@@ -54,6 +100,27 @@ function LyricsPlaybackScreen() {
 		}
 	}, [audioUrl])
 	
+	// Onsets are detected from the audio when the onsets strategy is selected
+	useEffect(() => {
+		setAudioOnsets(null)
+	}, [audioUrl])
+	
+	useEffect(() => {
+		if (distributionStrategy !== 'onsets' || !audioUrl || audioOnsets) return
+		let cancelled = false
+		
+		decodeAudio(audioUrl)
+			.then(detectOnsets)
+			.then(onsets => {
+				if (!cancelled) setAudioOnsets(onsets)
+			})
+			.catch(error => console.error('Error detecting onsets:', error))
+		
+		return () => {
+			cancelled = true
+		}
+	}, [distributionStrategy, audioUrl, audioOnsets])
+	
 	// Scroll to top when component mounts and initialize container scroll
 	useEffect(() => {
 		window.scrollTo(0, 0)
@@ -94,6 +161,84 @@ function LyricsPlaybackScreen() {
 		}
 	}, [isPlaying])
 	
+	// Audience window: the operator sends the track and its audio clock, the audience follows
+	useEffect(() => {
+		const channel = openAudienceChannel()
+		audienceChannelRef.current = channel
+		if (!channel) return
+		
+		if (audience) {
+			channel.onmessage = (event) => {
+				const message = event.data
+				if (message.type === 'track') {
+					setLyricsJson(message.lyricsJson)
+					setLayoutMode(message.layoutMode)
+					setWindowPast(message.windowPast)
+					setWindowUpcoming(message.windowUpcoming)
+					setVisibleParallelFields(message.visibleParallelFields)
+					setCountdownStyle(message.countdownStyle)
+					setMinGapSeconds(message.minGapSeconds)
+				} else if (message.type === 'clock') {
+					audienceClockRef.current = syncClock(audienceClockRef.current, message)
+					setIsPlaying(message.playing)
+					setCurrentTime(getClockTime(audienceClockRef.current))
+				} else if (message.type === 'stop') {
+					audienceClockRef.current = stopClock(audienceClockRef.current)
+					setIsPlaying(false)
+				}
+			}
+			channel.postMessage({ type: 'hello' }) // Ask an open operator window for the current state
+			
+			return () => {
+				channel.close()
+				audienceChannelRef.current = null
+			}
+		}
+		
+		// The audience would otherwise keep running its clock after the operator leaves or closes the tab
+		const stopAudience = () => channel.postMessage({ type: 'stop' })
+		window.addEventListener('pagehide', stopAudience)
+		
+		return () => {
+			window.removeEventListener('pagehide', stopAudience)
+			stopAudience()
+			channel.close()
+			audienceChannelRef.current = null
+		}
+	}, [audience])
+	
+	const sendClock = () => {
+		if (!audience && audioRef.current) {
+			audienceChannelRef.current?.postMessage(createClockMessage(audioRef.current))
+		}
+	}
+	
+	// Regular clock messages while playing let the audience correct its drift
+	useEffect(() => {
+		if (audience || !isPlaying) return
+		const intervalId = setInterval(sendClock, SYNC_INTERVAL)
+		return () => clearInterval(intervalId)
+	}, [isPlaying])
+	
+	// The audience window runs its own copy of the clock between messages
+	useEffect(() => {
+		if (!audience || !isPlaying) return
+		const intervalId = setInterval(() => {
+			if (audienceClockRef.current) {
+				setCurrentTime(getClockTime(audienceClockRef.current))
+			}
+		}, 16)
+		return () => clearInterval(intervalId)
+	}, [audience, isPlaying])
+	
+	const openAudienceWindow = () => {
+		if (!audienceChannelRef.current) {
+			alert('❌ This browser cannot sync a second window (BroadcastChannel is not supported).')
+			return
+		}
+		window.open('/audience', AUDIENCE_CHANNEL, 'popup,width=1280,height=720')
+	}
+	
 	const togglePlayPause = () => {
 		if (audioRef.current) {
 			if (audioRef.current.paused) {
@@ -239,69 +384,51 @@ function LyricsPlaybackScreen() {
 		return result
 	}
 	
-	// Generate linear timing for JSON without proper timing data
+	// Generate timing for JSON without proper timing data, spread with the selected strategy
 	const generateLinearTiming = (json) => {
 		if (!json || !duration) return json
 		
-		const totalDurationMs = duration * 1000
-		let currentTimeMs = 0
+		const lines = json.blocks.flatMap(block => block.lines).filter(line => line.words?.length)
+		if (lines.length === 0) return json
 		
-		// Calculate total text length for proportional timing
-		const totalChars = json.blocks.reduce((sum, block) => 
-			sum + block.lines.reduce((lineSum, line) => 
-				lineSum + line.words.reduce((wordSum, word) => 
-					wordSum + word.text.length, 0), 0), 0)
+		// Lines across the whole song, onset alignment is only done per line as it grows quadratically with the onsets
+		const lineStrategy = distributionStrategy === 'onsets' ? 'chars' : distributionStrategy
+		distributeTiming(lines, 0, duration * 1000, lineStrategy)
+			.forEach((timing, index) => Object.assign(lines[index], timing))
 		
-		if (totalChars === 0) return json
+		// Words within each line
+		lines.forEach(line => {
+			distributeTiming(line.words, line.start, line.end, distributionStrategy, audioOnsets || [])
+				.forEach((timing, index) => Object.assign(line.words[index], timing))
+		})
+		const words = lines.flatMap(line => line.words)
 		
-		const msPerChar = totalDurationMs / totalChars
+		// Characters within each word, existing chars keep their furigana readings
+		words.forEach(word => {
+			if (!word.chars?.length) {
+				word.chars = splitChars(word.text, json.language).map(char => ({
+					text: char,
+					start: 0,
+					end: 0,
+					voice: word.voice || 0,
+					position: word.position || ""
+				}))
+			}
+			distributeTiming(word.chars, word.start, word.end, distributionStrategy, audioOnsets || [])
+				.forEach((timing, index) => Object.assign(word.chars[index], timing))
+		})
 		
-		// Process blocks
+		// Set line and block timing to encompass their words
 		json.blocks.forEach(block => {
-			const blockStartTime = currentTimeMs
-			
 			block.lines.forEach(line => {
-				const lineStartTime = currentTimeMs
-				
-				line.words.forEach(word => {
-					const wordStartTime = currentTimeMs
-					const wordDuration = word.text.length * msPerChar
-					
-					word.start = Math.round(wordStartTime)
-					word.end = Math.round(wordStartTime + wordDuration)
-					
-					// Generate character timing
-					if (!word.chars) {
-						word.chars = []
-					}
-					
-					word.chars = word.text.split('').map((char, index) => {
-						const charStartTime = wordStartTime + (index * (wordDuration / word.text.length))
-						const charEndTime = wordStartTime + ((index + 1) * (wordDuration / word.text.length))
-						
-						const charToken = {
-							text: char,
-							start: Math.round(charStartTime),
-							end: Math.round(charEndTime),
-							voice: word.voice || 0,
-							position: word.position || ""
-						}
-						
-						
-						return charToken
-					})
-					
-					currentTimeMs += wordDuration
-				})
-				
-				// Set line timing to encompass all words
-				line.start = Math.round(lineStartTime)
-				line.end = Math.round(currentTimeMs)
+				if (!line.words?.length) return
+				line.start = line.words[0].start
+				line.end = line.words[line.words.length - 1].end
 			})
-			
-			// Set block timing to encompass all lines
-			block.start = Math.round(blockStartTime)
-			block.end = Math.round(currentTimeMs)
+			const timedLines = block.lines.filter(line => line.words?.length)
+			if (timedLines.length === 0) return
+			block.start = timedLines[0].start
+			block.end = timedLines[timedLines.length - 1].end
 		})
 		
 		return json
@@ -318,6 +445,7 @@ function LyricsPlaybackScreen() {
 				line.start > 0 || line.end > 0 ||
 				line.words?.some(word => 
 					word.start > 0 || word.end > 0 ||
+					word.syllables?.some(syllable => syllable.start > 0 || syllable.end > 0) ||
 					word.chars?.some(char => char.start > 0 || char.end > 0))))
 		
 		if (hasTimingData) {
@@ -325,7 +453,45 @@ function LyricsPlaybackScreen() {
 		} else {
 			return generateLinearTiming(JSON.parse(JSON.stringify(lyricsJson))) // Generate timing
 		}
-	}, [lyricsJson, duration])
+	}, [lyricsJson, duration, distributionStrategy, audioOnsets])
+
+	const sendTrack = () => {
+		if (!audience && processedLyricsJson) {
+			audienceChannelRef.current?.postMessage({
+				type: 'track',
+				lyricsJson: processedLyricsJson,
+				layoutMode,
+				windowPast,
+				windowUpcoming,
+				visibleParallelFields,
+				countdownStyle,
+				minGapSeconds
+			})
+		}
+	}
+	
+	// Track changes go out right away, audience windows opened later ask for them
+	useEffect(() => {
+		sendTrack()
+		const channel = audienceChannelRef.current
+		if (audience || !channel) return
+		
+		channel.onmessage = (event) => {
+			if (event.data.type === 'hello') {
+				sendTrack()
+				sendClock()
+			}
+		}
+	}, [processedLyricsJson, layoutMode, windowPast, windowUpcoming, visibleParallelFields, countdownStyle, minGapSeconds])
+	
+	// Lines in song order for the two-line and window layouts
+	const songLines = React.useMemo(() => getSongLines(processedLyricsJson), [processedLyricsJson])
+	
+	// Instrumental parts long enough for the countdown and placeholder
+	const longGaps = React.useMemo(
+		() => findLongGaps(processedLyricsJson, minGapSeconds * 1000),
+		[processedLyricsJson, minGapSeconds]
+	)
 	
 	// Get progress percentage for a token - shows gradual filling
 	const getTokenProgress = (token) => {
@@ -361,8 +527,26 @@ function LyricsPlaybackScreen() {
 	// Get voice color
 	const getVoiceColor = (voiceId) => {
 		const voice = processedLyricsJson?.voices?.find(v => v.id === voiceId)
+		// Voices sung by several members (e.g. "both") mix the members' colors
+		const members = getMemberVoices(voice, processedLyricsJson?.voices || [])
+		if (members.length > 1) {
+			return blendColors(members.map(member => member.color || '#87CEEB'))
+		}
 		return voice?.color || '#87CEEB'
 	}
+	
+	// Outline in every member's color around text of a combined voice
+	const getBlendStyle = (voiceId) => {
+		const voice = processedLyricsJson?.voices?.find(v => v.id === voiceId)
+		const members = getMemberVoices(voice, processedLyricsJson?.voices || [])
+		if (members.length < 2) return {}
+		return {
+			textShadow: members.map((member, index) => {
+				const angle = 2 * Math.PI * index / members.length
+				return `${(Math.cos(angle) * 2).toFixed(1)}px ${(Math.sin(angle) * 2).toFixed(1)}px 0 ${member.color || '#87CEEB'}`
+			}).join(', ')
+		}
+	}
 
 	// Get darkened voice color (for inactive text)
 	const getDarkenedVoiceColor = (voiceId) => {
@@ -405,24 +589,20 @@ function LyricsPlaybackScreen() {
 		if (file && file.name.endsWith('.json')) {
 			const reader = new FileReader()
 			reader.onload = (e) => {
-				try {
-					const karaokeData = JSON.parse(e.target.result)
+				// Validate against the karaoke schema, errors block loading
+				// Older format versions are migrated first
+				const { data: karaokeData, errors, warnings, migrations } = parseKaraokeJson(e.target.result)
+				setValidationReport({ fileName: file.name, errors, warnings, migrations })
+				
+				if (karaokeData) {
+					setLyricsJson(karaokeData)
 					
-					// Validate that it's a proper karaoke JSON
-					if (karaokeData.blocks && Array.isArray(karaokeData.blocks)) {
-						setLyricsJson(karaokeData)
-						
-						// Try to extract audio URL from the karaoke data
-						if (karaokeData.audioUrl) {
-							setAudioUrl(karaokeData.audioUrl)
-						}
-						
-						setUploadMode(false)
-					} else {
-						alert('Invalid karaoke file format. Please upload a properly formatted karaoke JSON file.')
+					// Try to extract audio URL from the karaoke data
+					if (karaokeData.audioUrl) {
+						setAudioUrl(karaokeData.audioUrl)
 					}
-				} catch (error) {
-					alert('Error reading karaoke file. Please ensure it\'s a valid JSON file.')
+					
+					setUploadMode(false)
 				}
 			}
 			reader.readAsText(file)
@@ -450,6 +630,89 @@ function LyricsPlaybackScreen() {
 		return ((now - start) / (end - start)) * 100
 	}
 
+	// Text wipe for ruby readings, same colors as getTextColor
+	const getWipeStyle = (progress, voiceId, direction = 'ltr') => {
+		const activeColor = voiceId ? getVoiceColor(voiceId) : 'white'
+		const inactiveColor = voiceId ? getDarkenedVoiceColor(voiceId) : 'rgba(255,255,255,0.4)'
+		return {
+			backgroundImage: `linear-gradient(to ${direction === 'rtl' ? 'left' : 'right'}, ${activeColor} ${progress}%, ${inactiveColor} ${progress}%)`,
+			WebkitBackgroundClip: 'text',
+			backgroundClip: 'text',
+			color: 'transparent'
+		}
+	}
+
+	// Wrap base text in ruby if the token has a reading, the reading wipes with the token timing
+	const renderWithReading = (base, token, voiceId, direction = 'ltr') => {
+		if (!token.reading) return base
+		return (
+			<ruby style={{ rubyPosition: 'over' }}>
+				{base}
+				<rt style={{ fontSize: '0.45em', ...getWipeStyle(getProgress(token.start, token.end), voiceId, direction) }}>{token.reading}</rt>
+			</ruby>
+		)
+	}
+	
+	// Progress over child tokens, weighted by their text length
+	const getChildrenProgress = (children) => {
+		const totalLength = children.reduce((sum, child) => sum + (child.text || '').length, 0)
+		if (totalLength === 0) return 0
+		return children.reduce((sum, child) => sum + (child.text || '').length * getProgress(child.start, child.end), 0) / totalLength
+	}
+	
+	// Right-to-left words stay one text run so letters keep joining, the wipe follows their chars or syllables
+	const renderJoinedWord = (word) => {
+		const children = Array.isArray(word.chars) && word.chars.length > 0 ? word.chars : word.syllables
+		const text = word.text || children.map(child => child.text || '').join('')
+		const progress = getChildrenProgress(children)
+		return (
+			<>
+				{renderWithReading(
+					<span style={getWipeStyle(progress, word.voice, 'rtl')}>
+						{text.trim() === "" ? <span>&nbsp;</span> : text}
+					</span>,
+					word,
+					word.voice,
+					'rtl'
+				)}
+				<div style={{
+					width: '100%',
+					height: '3px',
+					background: 'rgba(255,255,255,0.2)',
+					marginTop: '4px',
+					overflow: 'hidden'
+				}}>
+					<div style={{
+						height: '100%',
+						background: getVoiceColor(word.voice),
+						width: `${progress}%`,
+						transition: 'width 0.05s linear'
+					}} />
+				</div>
+			</>
+		)
+	}
+
+	// Romanization and translation of a line in a smaller style
+	const renderParallelLines = (line) => {
+		const fields = PARALLEL_TEXT_FIELDS.filter(field => line[field.key] && visibleParallelFields.includes(field.key))
+		if (fields.length === 0) return null
+		
+		const currentTimeMs = currentTime * 1000
+		const isActiveOrPast = currentTimeMs >= line.start
+		return fields.map(field => (
+			<div key={field.key} dir="auto" style={{
+				fontSize: field.key === 'romanization' ? '0.55em' : '0.5em',
+				fontStyle: field.key === 'translation' ? 'italic' : 'normal',
+				color: isActiveOrPast ? 'rgba(255,255,255,0.85)' : 'rgba(255,255,255,0.4)',
+				marginTop: '0.25rem',
+				textAlign: 'center'
+			}}>
+				{line[field.key]}
+			</div>
+		))
+	}
+	
 	// Find active line for scrolling
 	const getActiveLineId = () => {
 		if (!processedLyricsJson) return null
@@ -522,11 +785,349 @@ function LyricsPlaybackScreen() {
 		}
 	}, [currentTime, processedLyricsJson])
 
+	/**
+	 * Render a single line with its word/char wipes and secondary lines
+	 * @param {Object} line - Line token
+	 * @param {number} blockIdx - Index of the block
+	 * @param {number} lineIdx - Index of the line in its block
+	 * @param {Object} block - Block of the line
+	 * @param {Object} options - fontSize override and align ('flex-start', 'center' or 'flex-end') for the stage layout
+	 */
+	const renderLine = (line, blockIdx, lineIdx, block, { fontSize = null, align = 'center' } = {}) => {
+		// Right-to-left lines mirror the layout and the wipes
+		const direction = getLineDirection(line, processedLyricsJson)
+		
+		// Flex alignment follows the writing direction, the stage positions are physical
+		const lineAlign = direction === 'rtl'
+			? ({ 'flex-start': 'flex-end', 'flex-end': 'flex-start' }[align] || align)
+			: align
+		const lineStyle = {
+			marginBottom: '1rem',
+			display: 'flex',
+			flexDirection: 'column',
+			alignItems: lineAlign,
+			fontSize: fontSize || (isFullscreen || audience ? '3rem' : '2rem'),
+			...getBlendStyle(line.voice || block.voice)
+		}
+		
+		// Unified nested generator for line/word/char levels
+		if (line.text !== "") {
+			// Line-level: has non-empty text
+			return (
+				<div 
+					key={blockIdx + "-" + lineIdx} 
+					id={`line-${blockIdx}-${lineIdx}`}
+					dir={direction}
+					style={{
+						...lineStyle,
+						color: getTextColor(line)
+					}}>
+					<div style={{ display: 'inline-block' }}>
+						<span>{line.text}</span>
+						<div style={{
+							width: '100%',
+							height: '4px',
+							background: 'rgba(255,255,255,0.2)',
+							marginTop: '4px',
+							overflow: 'hidden'
+						}}>
+							<div style={{
+								height: '100%',
+								background: getVoiceColor(line.voice),
+								width: `${getProgress(line.start, line.end)}%`,
+								transition: 'width 0.05s linear'
+							}} />
+						</div>
+					</div>
+					{renderParallelLines(line)}
+				</div>
+			)
+		} else if (Array.isArray(line.words) && line.words.length > 0) {
+			// Word-level: has words
+			return (
+				<div 
+					key={blockIdx + "-" + lineIdx}
+					id={`line-${blockIdx}-${lineIdx}`}
+					dir={direction}
+					style={lineStyle}>
+					<div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: lineAlign }}>
+						{line.words.map((word, wordIdx) => (
+							<span key={wordIdx} style={{
+								display: 'inline-flex',
+								flexDirection: 'column',
+								verticalAlign: 'top'
+							}}>
+								{/* Right-to-left words with chars or syllables keep their letters joined */}
+								{direction === 'rtl' && ((Array.isArray(word.chars) && word.chars.length > 0) ||
+									(Array.isArray(word.syllables) && word.syllables.length > 0)) ? renderJoinedWord(word)
+								// Char-level: word has chars
+								: Array.isArray(word.chars) && word.chars.length > 0 ? renderWithReading(
+									<span style={{
+										flexDirection: 'row',
+										display: 'inline-flex'
+									}}>
+										{word.chars.map((char, charIdx) => (
+											<span key={charIdx} style={{
+												display: 'inline-flex',
+												flexDirection: 'column',
+												verticalAlign: 'top',
+												color: getTextColor(char)
+											}}>
+												{char.text === " " ? <span>&nbsp;</span> : renderWithReading(char.text, char, char.voice || word.voice)}
+												<div style={{
+													width: '100%',
+													height: '3px',
+													background: 'rgba(255,255,255,0.2)',
+													marginTop: '4px',
+													overflow: 'hidden'
+												}}>
+													<div style={{
+														height: '100%',
+														background: getVoiceColor(char.voice || word.voice),
+														width: `${getProgress(char.start, char.end)}%`,
+														transition: 'width 0.05s linear'
+													}} />
+												</div>
+											</span>
+										))}
+									</span>,
+									word,
+									word.voice
+								) : Array.isArray(word.syllables) && word.syllables.length > 0 ? renderWithReading(
+									// Syllable-level: no chars, but syllables
+									<span style={{
+										flexDirection: 'row',
+										display: 'inline-flex'
+									}}>
+										{word.syllables.map((syllable, syllableIdx) => (
+											<span key={syllableIdx} style={{
+												display: 'inline-flex',
+												flexDirection: 'column',
+												verticalAlign: 'top',
+												color: getTextColor(syllable)
+											}}>
+												{syllable.text.trim() === "" ? <span>&nbsp;</span> : syllable.text}
+												<div style={{
+													width: '100%',
+													height: '3px',
+													background: 'rgba(255,255,255,0.2)',
+													marginTop: '4px',
+													overflow: 'hidden'
+												}}>
+													<div style={{
+														height: '100%',
+														background: getVoiceColor(syllable.voice || word.voice),
+														width: `${getProgress(syllable.start, syllable.end)}%`,
+														transition: 'width 0.05s linear'
+													}} />
+												</div>
+											</span>
+										))}
+									</span>,
+									word,
+									word.voice
+								) : (
+									// Word-level: no chars or syllables
+									<>
+										<span style={{ color: getTextColor(word) }}>
+											{word.text === " " ? <span>&nbsp;</span> : renderWithReading(word.text, word, word.voice)}
+										</span>
+										<div style={{
+											width: '100%',
+											height: '3px',
+											background: 'rgba(255,255,255,0.2)',
+											marginTop: '4px',
+											overflow: 'hidden'
+										}}>
+											<div style={{
+												height: '100%',
+												background: getVoiceColor(word.voice),
+												width: `${getProgress(word.start, word.end)}%`,
+												transition: 'width 0.05s linear'
+											}} />
+										</div>
+									</>
+								)}
+							</span>
+						))}
+					</div>
+					{renderParallelLines(line)}
+				</div>
+			)
+		}
+		// If neither text nor words, render nothing
+		return null
+	}
+
+	// Stage layout: every voice sings in its own region of the screen
+	const renderStageDisplay = () => {
+		const groups = groupStageLines(getStageLines(processedLyricsJson, currentTime * 1000))
+		const columnAlign = ['flex-start', 'center', 'flex-end']
+		const fontSize = isFullscreen || audience ? '2.5rem' : '1.5rem'
+		
+		return (
+			<div 
+				id="karaoke-stage"
+				style={{
+					display: 'flex',
+					flexDirection: 'column',
+					height: '100%',
+					padding: '1.5rem 2rem',
+					boxSizing: 'border-box'
+				}}>
+				{[0, 1, 2].map(row => (
+					<div key={row} style={{
+						flex: 1,
+						display: 'flex',
+						gap: '2rem',
+						alignItems: ['flex-start', 'center', 'flex-end'][row],
+						minHeight: 0
+					}}>
+						{groups.filter(group => group.row === row).sort((a, b) => a.column - b.column).map(group => (
+							// Lines of different voices in the same region stand side by side
+							<div key={group.position} style={{
+								flex: 1,
+								display: 'flex',
+								gap: '1.5rem',
+								justifyContent: columnAlign[group.column],
+								minWidth: 0
+							}}>
+								{group.voices.map(voiceGroup => (
+									<div key={voiceGroup.voiceId} style={{ minWidth: 0 }}>
+										{voiceGroup.entries.map(entry => renderLine(entry.line, entry.blockIndex, entry.lineIndex, entry.block, {
+											fontSize,
+											align: group.voices.length > 1 ? 'center' : columnAlign[group.column]
+										}))}
+									</div>
+								))}
+							</div>
+						))}
+					</div>
+				))}
+			</div>
+		)
+	}
+	
+	// Two-line layout: lines alternate between the top and the bottom slot
+	const renderTwoLineDisplay = () => {
+		const slots = getTwoLineSlots(songLines, currentTime * 1000)
+		
+		return (
+			<div 
+				id="karaoke-two-line"
+				style={{
+					display: 'flex',
+					flexDirection: 'column',
+					height: '100%',
+					padding: '2rem 3rem',
+					boxSizing: 'border-box'
+				}}>
+				{slots.map((entry, slot) => (
+					<div key={slot} style={{
+						flex: 1,
+						display: 'flex',
+						flexDirection: 'column',
+						justifyContent: slot === 0 ? 'flex-end' : 'flex-start',
+						padding: '1rem 0'
+					}}>
+						{entry && renderLine(entry.line, entry.blockIndex, entry.lineIndex, entry.block, {
+							align: slot === 0 ? 'flex-start' : 'flex-end'
+						})}
+					</div>
+				))}
+			</div>
+		)
+	}
+	
+	// Window layout: a few past lines, the current line and a few upcoming lines
+	const renderLineWindowDisplay = () => {
+		const windowLines = getLineWindow(songLines, currentTime * 1000, windowPast, windowUpcoming)
+		const smallFontSize = isFullscreen || audience ? '2rem' : '1.4rem'
+		
+		return (
+			<div 
+				id="karaoke-window"
+				style={{
+					display: 'flex',
+					flexDirection: 'column',
+					justifyContent: 'center',
+					height: '100%',
+					padding: '2rem',
+					boxSizing: 'border-box',
+					overflow: 'hidden'
+				}}>
+				{windowLines.map(entry => (
+					<div 
+						key={`${entry.blockIndex}-${entry.lineIndex}`}
+						style={{
+							opacity: entry.offset < 0 ? 0.4 : entry.offset > 0 ? 0.75 : 1,
+							transition: 'opacity 0.3s'
+						}}>
+						{renderLine(entry.line, entry.blockIndex, entry.lineIndex, entry.block, {
+							fontSize: entry.offset === 0 ? null : smallFontSize
+						})}
+					</div>
+				))}
+			</div>
+		)
+	}
+	
+	// Instrumental placeholder during long gaps, countdown in their last seconds
+	const renderGapIndicator = () => {
+		const indicator = getGapIndicator(longGaps, currentTime * 1000)
+		if (!indicator) return null
+		
+		const color = getVoiceColor(indicator.gap.voice)
+		const showCountdown = countdownStyle !== 'off' && indicator.beat > 0
+		
+		return (
+			<div style={{
+				position: 'absolute',
+				top: '8%',
+				left: 0,
+				right: 0,
+				display: 'flex',
+				justifyContent: 'center',
+				pointerEvents: 'none'
+			}}>
+				<div style={{
+					padding: '0.5rem 1.5rem',
+					borderRadius: '999px',
+					background: 'rgba(0,0,0,0.6)',
+					color: showCountdown ? color : '#bbb',
+					fontSize: showCountdown
+						? (isFullscreen || audience ? '3rem' : '2rem')
+						: (isFullscreen || audience ? '1.5rem' : '1rem'),
+					fontWeight: showCountdown ? 'bold' : 'normal',
+					letterSpacing: showCountdown ? '0.5em' : 'normal'
+				}}>
+					{showCountdown
+						? (countdownStyle === 'numbers'
+							? indicator.beat
+							: Array.from({ length: COUNTDOWN_BEATS }, (_, i) => i < indicator.beat ? '●' : '○').join(' '))
+						: `🎸 Instrumental — next line in ${formatTime(Math.ceil(indicator.remaining / 1000))}`}
+				</div>
+			</div>
+		)
+	}
+	
 	// Render karaoke display using proof of concept approach
 	const renderKaraokeDisplay = () => {
 		if (!processedLyricsJson) {
 			return <div style={{color: 'white', textAlign: 'center'}}>No lyrics data available</div>
 		}
+		
+		const isStageLayout = layoutMode === 'stage' ||
+			(layoutMode === 'auto' && (processedLyricsJson.voices?.length || 0) > 1)
+		if (isStageLayout) {
+			return renderStageDisplay()
+		}
+		if (layoutMode === 'two-line') {
+			return renderTwoLineDisplay()
+		}
+		if (layoutMode === 'window') {
+			return renderLineWindowDisplay()
+		}
 
 		return (
 			<div 
@@ -551,125 +1152,43 @@ function LyricsPlaybackScreen() {
 							padding: '1rem',
 							background: 'rgba(0,0,0,0.3)'
 						}}>
-						{block.lines.map((line, lineIdx) => {
-							// Unified nested generator for line/word/char levels
-							if (line.text !== "") {
-								// Line-level: has non-empty text
-								return (
-									<div 
-										key={blockIdx + "-" + lineIdx} 
-										id={`line-${blockIdx}-${lineIdx}`}
-										style={{
-											marginBottom: '1rem',
-											display: 'flex',
-											justifyContent: 'center',
-											fontSize: isFullscreen ? '3rem' : '2rem',
-											color: getTextColor(line)
-										}}>
-										<div style={{ display: 'inline-block' }}>
-											<span>{line.text}</span>
-											<div style={{
-												width: '100%',
-												height: '4px',
-												background: 'rgba(255,255,255,0.2)',
-												marginTop: '4px',
-												overflow: 'hidden'
-											}}>
-												<div style={{
-													height: '100%',
-													background: getVoiceColor(line.voice),
-													width: `${getProgress(line.start, line.end)}%`,
-													transition: 'width 0.05s linear'
-												}} />
-											</div>
-										</div>
-									</div>
-								)
-							} else if (Array.isArray(line.words) && line.words.length > 0) {
-								// Word-level: has words
-								return (
-									<div 
-										key={blockIdx + "-" + lineIdx}
-										id={`line-${blockIdx}-${lineIdx}`}
-										style={{
-											marginBottom: '1rem',
-											display: 'flex',
-											justifyContent: 'center',
-											fontSize: isFullscreen ? '3rem' : '2rem'
-										}}>
-										{line.words.map((word, wordIdx) => (
-											<span key={wordIdx} style={{
-												display: 'inline-flex',
-												flexDirection: 'column',
-												verticalAlign: 'top'
-											}}>
-												{/* Char-level: word has chars */}
-												{Array.isArray(word.chars) && word.chars.length > 0 ? (
-													<span style={{
-														flexDirection: 'row',
-														display: 'inline-flex'
-													}}>
-														{word.chars.map((char, charIdx) => (
-															<span key={charIdx} style={{
-																display: 'inline-flex',
-																flexDirection: 'column',
-																verticalAlign: 'top',
-																color: getTextColor(char)
-															}}>
-																{char.text === " " ? <span>&nbsp;</span> : char.text}
-																<div style={{
-																	width: '100%',
-																	height: '3px',
-																	background: 'rgba(255,255,255,0.2)',
-																	marginTop: '4px',
-																	overflow: 'hidden'
-																}}>
-																	<div style={{
-																		height: '100%',
-																		background: getVoiceColor(char.voice || word.voice),
-																		width: `${getProgress(char.start, char.end)}%`,
-																		transition: 'width 0.05s linear'
-																	}} />
-																</div>
-															</span>
-														))}
-													</span>
-												) : (
-													// Word-level: no chars
-													<>
-														<span style={{ color: getTextColor(word) }}>
-															{word.text === " " ? <span>&nbsp;</span> : word.text}
-														</span>
-														<div style={{
-															width: '100%',
-															height: '3px',
-															background: 'rgba(255,255,255,0.2)',
-															marginTop: '4px',
-															overflow: 'hidden'
-														}}>
-															<div style={{
-																height: '100%',
-																background: getVoiceColor(word.voice),
-																width: `${getProgress(word.start, word.end)}%`,
-																transition: 'width 0.05s linear'
-															}} />
-														</div>
-													</>
-												)}
-											</span>
-										))}
-									</div>
-								)
-							}
-							// If neither text nor words, render nothing
-							return null
-						})}
+						{block.lines.map((line, lineIdx) => renderLine(line, blockIdx, lineIdx, block))}
 					</div>
 				))}
 			</div>
 		)
 	}
 	
+	// Audience window: only the lyrics, double-click for fullscreen on the second screen
+	if (audience) {
+		return (
+			<div
+				ref={fullscreenRef}
+				onDoubleClick={toggleFullscreen}
+				style={{
+					height: '100vh',
+					background: '#000',
+					position: 'relative',
+					overflow: 'hidden'
+				}}
+			>
+				{processedLyricsJson && renderGapIndicator()}
+				{processedLyricsJson ? renderKaraokeDisplay() : (
+					<div style={{
+						height: '100%',
+						display: 'flex',
+						alignItems: 'center',
+						justifyContent: 'center',
+						color: '#888',
+						fontSize: '1.5rem'
+					}}>
+						🎤 Waiting for the operator window...
+					</div>
+				)}
+			</div>
+		)
+	}
+	
 	if (!processedLyricsJson) {
 		return (
 			<div style={{
@@ -739,6 +1258,16 @@ function LyricsPlaybackScreen() {
 						}}>
 							<h4 style={{ marginBottom: '1rem', color: '#333' }}>Upload Karaoke Files</h4>
 							
+							{validationReport && (
+								<ValidationReport
+									fileName={validationReport.fileName}
+									errors={validationReport.errors}
+									warnings={validationReport.warnings}
+									migrations={validationReport.migrations}
+									onDismiss={() => setValidationReport(null)}
+								/>
+							)}
+							
 							<div style={{ marginBottom: '1.5rem' }}>
 								<label style={{ display: 'block', marginBottom: '0.5rem', color: '#666', fontWeight: 'bold' }}>
 									Karaoke JSON File (Required)
@@ -883,6 +1412,7 @@ function LyricsPlaybackScreen() {
 						}}
 					>
 						{renderKaraokeDisplay()}
+						{renderGapIndicator()}
 						
 						{/* Fullscreen toggle button */}
 						{!isFullscreen && (
@@ -938,6 +1468,17 @@ function LyricsPlaybackScreen() {
 						</button>
 					</div>
 					
+					{/* Warnings from the uploaded karaoke file */}
+					{validationReport && (
+						<ValidationReport
+							fileName={validationReport.fileName}
+							errors={validationReport.errors}
+							warnings={validationReport.warnings}
+							migrations={validationReport.migrations}
+							onDismiss={() => setValidationReport(null)}
+						/>
+					)}
+					
 					{/* Playback Speed */}
 					<div style={{ marginBottom: '2rem' }}>
 						<h4 style={{ marginBottom: '1rem', color: '#333' }}>Speed</h4>
@@ -962,6 +1503,171 @@ function LyricsPlaybackScreen() {
 						</div>
 					</div>
 					
+					{/* Screen layout */}
+					<div style={{ marginBottom: '2rem' }}>
+						<h4 style={{ marginBottom: '1rem', color: '#333' }}>Layout</h4>
+						<select
+							value={layoutMode}
+							onChange={(e) => setLayoutMode(e.target.value)}
+							style={{
+								width: '100%',
+								padding: '6px 8px',
+								borderRadius: '4px',
+								border: '1px solid #ddd',
+								fontSize: '0.85rem'
+							}}
+						>
+							<option value="auto">Auto (stage for several voices)</option>
+							<option value="scroll">Scrolling lyrics</option>
+							<option value="stage">Stage (voice positions)</option>
+							<option value="two-line">Two lines (current and next)</option>
+							<option value="window">Line window</option>
+						</select>
+						{layoutMode === 'window' && (
+							<div style={{ display: 'flex', gap: '1rem', marginTop: '0.5rem', fontSize: '0.85rem', color: '#666' }}>
+								{[
+									{ label: 'Past', value: windowPast, onChange: setWindowPast },
+									{ label: 'Upcoming', value: windowUpcoming, onChange: setWindowUpcoming }
+								].map(setting => (
+									<label key={setting.label} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+										{setting.label}
+										<input
+											type="number"
+											min="0"
+											max="10"
+											step="1"
+											value={setting.value}
+											onChange={(e) => setting.onChange(Math.min(10, Math.max(0, Number(e.target.value) || 0)))}
+											style={{
+												width: '50px',
+												padding: '4px 6px',
+												borderRadius: '4px',
+												border: '1px solid #ddd'
+											}}
+										/>
+									</label>
+								))}
+							</div>
+						)}
+					</div>
+					
+					{/* Countdown after instrumental parts */}
+					<div style={{ marginBottom: '2rem' }}>
+						<h4 style={{ marginBottom: '1rem', color: '#333' }}>Countdown</h4>
+						<select
+							value={countdownStyle}
+							onChange={(e) => setCountdownStyle(e.target.value)}
+							style={{
+								width: '100%',
+								padding: '6px 8px',
+								borderRadius: '4px',
+								border: '1px solid #ddd',
+								fontSize: '0.85rem'
+							}}
+						>
+							{COUNTDOWN_STYLES.map(style => (
+								<option key={style.value} value={style.value}>{style.label}</option>
+							))}
+						</select>
+						<label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.5rem', fontSize: '0.85rem', color: '#666' }}>
+							After gaps longer than
+							<input
+								type="number"
+								min="1"
+								step="1"
+								value={minGapSeconds}
+								onChange={(e) => setMinGapSeconds(Math.max(1, Number(e.target.value) || 1))}
+								style={{
+									width: '60px',
+									padding: '4px 6px',
+									borderRadius: '4px',
+									border: '1px solid #ddd'
+								}}
+							/>
+							s
+						</label>
+					</div>
+					
+					{/* Audience window for a second screen */}
+					<div style={{ marginBottom: '2rem' }}>
+						<h4 style={{ marginBottom: '1rem', color: '#333' }}>Audience Screen</h4>
+						<button
+							onClick={openAudienceWindow}
+							style={{
+								width: '100%',
+								padding: '8px 12px',
+								borderRadius: '6px',
+								border: '2px solid #667eea',
+								background: 'white',
+								color: '#667eea',
+								cursor: 'pointer',
+								fontSize: '0.9rem'
+							}}
+						>
+							🖥️ Open audience window
+						</button>
+						<p style={{ fontSize: '0.75rem', color: '#666', margin: '0.25rem 0 0 0' }}>
+							Move it to the second screen and double-click it for fullscreen
+						</p>
+					</div>
+					
+					{/* Secondary lines, only offered when the file has them */}
+					{PARALLEL_TEXT_FIELDS.some(field => processedLyricsJson.blocks.some(block => block.lines.some(line => line[field.key]))) && (
+						<div style={{ marginBottom: '2rem' }}>
+							<h4 style={{ marginBottom: '1rem', color: '#333' }}>Secondary Lines</h4>
+							{PARALLEL_TEXT_FIELDS.map(field => (
+								<label key={field.key} style={{ display: 'block', fontSize: '0.9rem', color: '#666', marginBottom: '0.25rem', cursor: 'pointer' }}>
+									<input
+										type="checkbox"
+										checked={visibleParallelFields.includes(field.key)}
+										onChange={(e) => setVisibleParallelFields(e.target.checked
+											? [...visibleParallelFields, field.key]
+											: visibleParallelFields.filter(key => key !== field.key))}
+										style={{ marginRight: '0.5rem' }}
+									/>
+									{field.label}
+								</label>
+							))}
+						</div>
+					)}
+					
+					{/* Timing distribution, only used when the file has no timing */}
+					{processedLyricsJson !== lyricsJson && (
+						<div style={{ marginBottom: '2rem' }}>
+							<h4 style={{ marginBottom: '1rem', color: '#333' }}>Generated Timing</h4>
+							<select
+								value={distributionStrategy}
+								onChange={(e) => setDistributionStrategy(e.target.value)}
+								style={{
+									width: '100%',
+									padding: '6px 8px',
+									borderRadius: '4px',
+									border: '1px solid #ddd',
+									fontSize: '0.85rem'
+								}}
+							>
+								{DISTRIBUTION_STRATEGIES.map(strategy => (
+									<option key={strategy.value} value={strategy.value}>{strategy.label}</option>
+								))}
+							</select>
+							<p style={{ fontSize: '0.75rem', color: '#666', margin: '0.25rem 0 0 0' }}>
+								{distributionStrategy === 'onsets' && !audioOnsets
+									? '⏳ Detecting onsets, character count is used until they are ready'
+									: 'This file has no timing, lyrics are spread over the song'}
+							</p>
+						</div>
+					)}
+					
+					{/* Subtitle Export */}
+					<div style={{ marginBottom: '2rem' }}>
+						<h4 style={{ marginBottom: '1rem', color: '#333' }}>Export</h4>
+						<SubtitleExportPanel
+							getExportData={() => processedLyricsJson}
+							baseFileName={processedLyricsJson.audioFile || location.state?.audioFile?.name}
+							title={processedLyricsJson.title}
+						/>
+					</div>
+					
 					{/* Info */}
 					<div style={{
 						padding: '1rem',
@@ -1060,7 +1766,14 @@ function LyricsPlaybackScreen() {
 					ref={audioRef}
 					onTimeUpdate={handleTimeUpdate}
 					onLoadedMetadata={handleLoadedMetadata}
-					onEnded={() => setIsPlaying(false)}
+					onEnded={() => {
+						setIsPlaying(false)
+						sendClock()
+					}}
+					onPlay={sendClock}
+					onPause={sendClock}
+					onSeeked={sendClock}
+					onRateChange={sendClock}
 					style={{ display: 'none' }}
 				/>
 			)}
@@ -0,0 +1,200 @@
+/**
+ * OnsetSuggestionsPanel Component
+ *
+ * Proposes word start times inside recorded lines from detected audio onsets.
+ * Features:
+ * - Offline spectral-flux onset analysis of the loaded audio
+ * - One proposal per recorded line, words aligned to onsets
+ * - Editable word starts before accepting
+ * - Accept or reject per line, or accept all
+ */
+
+import React, {useState} from 'react'
+import {getLineText, getWordText} from '../utils/karaokeText'
+import {detectOnsets, getSungWordIndexes, proposeWordStarts, wordTimingsFromStarts} from '../utils/onsetDetection'
+
+/**
+ * @param {Object} props
+ * @param {AudioBuffer} props.audioBuffer - Decoded audio, null while decoding
+ * @param {Object} props.karaokeData - Current karaoke data
+ * @param {boolean} props.disabled - Disable applying (while recording)
+ * @param {Function} props.onPreview - Called with a time in seconds to listen to a line
+ * @param {Function} props.onApply - Called with [{blockIndex, lineIndex, timings}] to write word timings
+ */
+function OnsetSuggestionsPanel({audioBuffer, karaokeData, disabled, onPreview, onApply}) {
+	const [analyzing, setAnalyzing] = useState(false)
+	const [proposals, setProposals] = useState(null) // [{blockIndex, lineIndex, starts}]
+
+	/**
+	 * Analyze the audio and propose word starts for every recorded line
+	 */
+	const analyze = () => {
+		if (!audioBuffer || !karaokeData) return
+		setAnalyzing(true)
+
+		detectOnsets(audioBuffer)
+			.then(onsets => {
+				const newProposals = []
+				karaokeData.blocks.forEach((block, blockIndex) => {
+					block.lines.forEach((line, lineIndex) => {
+						const starts = proposeWordStarts(line, onsets)
+						if (starts) {
+							newProposals.push({blockIndex, lineIndex, starts})
+						}
+					})
+				})
+				console.log(`🎯 Detected ${onsets.length} onsets, proposals for ${newProposals.length} lines`)
+				setProposals(newProposals)
+			})
+			.catch(error => {
+				console.error('Error detecting onsets:', error)
+				alert('Could not analyze the audio for onsets.')
+			})
+			.finally(() => setAnalyzing(false))
+	}
+
+	const getLine = (proposal) => karaokeData?.blocks[proposal.blockIndex]?.lines[proposal.lineIndex]
+
+	/**
+	 * Change one proposed word start
+	 * @param {number} proposalIndex - Index in proposals
+	 * @param {number} startIndex - Index of the sung word
+	 * @param {string} value - New start in seconds
+	 */
+	const updateStart = (proposalIndex, startIndex, value) => {
+		const seconds = parseFloat(value)
+		if (!isFinite(seconds)) return
+
+		setProposals(proposals.map((proposal, index) => {
+			if (index !== proposalIndex) return proposal
+			const starts = [...proposal.starts]
+			starts[startIndex] = Math.round(seconds * 1000)
+			return {...proposal, starts}
+		}))
+	}
+
+	/**
+	 * Write proposals into the karaoke data and remove them from the list
+	 * @param {Array<number>} proposalIndexes - Proposals to accept
+	 */
+	const acceptProposals = (proposalIndexes) => {
+		const entries = proposalIndexes.map(index => {
+			const proposal = proposals[index]
+			const line = getLine(proposal)
+			// Keep edited starts in order
+			const starts = proposal.starts.map(start => Math.min(Math.max(start, line.start), line.end))
+			starts.sort((a, b) => a - b)
+			return {
+				blockIndex: proposal.blockIndex,
+				lineIndex: proposal.lineIndex,
+				timings: wordTimingsFromStarts(line, starts)
+			}
+		})
+		onApply(entries)
+		removeProposals(proposalIndexes)
+	}
+
+	const removeProposals = (proposalIndexes) => {
+		setProposals(proposals.filter((proposal, index) => !proposalIndexes.includes(index)))
+	}
+
+	const smallButtonStyle = (color) => ({
+		padding: '2px 8px',
+		borderRadius: '4px',
+		border: `1px solid ${color}`,
+		background: 'white',
+		color,
+		cursor: disabled ? 'not-allowed' : 'pointer',
+		fontSize: '0.75rem'
+	})
+
+	return (
+		<div>
+			<button
+				onClick={analyze}
+				disabled={!audioBuffer || analyzing}
+				style={{
+					width: '100%',
+					padding: '8px 12px',
+					borderRadius: '6px',
+					border: '2px solid #667eea',
+					background: 'white',
+					color: '#667eea',
+					cursor: audioBuffer && !analyzing ? 'pointer' : 'not-allowed',
+					fontSize: '0.9rem',
+					marginBottom: '0.5rem'
+				}}
+			>
+				{analyzing ? '⏳ Analyzing audio...' : !audioBuffer ? 'Decoding audio...' : '🔍 Detect word onsets'}
+			</button>
+			<p style={{fontSize: '0.8rem', color: '#666', margin: '0 0 0.5rem 0'}}>
+				Proposes word starts inside lines that already have timing.
+			</p>
+
+			{proposals && proposals.length === 0 && (
+				<p style={{fontSize: '0.8rem', color: '#999', margin: 0}}>No open proposals. Record lines first.</p>
+			)}
+
+			{proposals && proposals.length > 0 && (
+				<>
+					<button
+						onClick={() => acceptProposals(proposals.map((proposal, index) => index))}
+						disabled={disabled}
+						style={{...smallButtonStyle('#28a745'), marginBottom: '0.5rem'}}
+					>
+						✓ Accept all ({proposals.length})
+					</button>
+					<div style={{maxHeight: '300px', overflowY: 'auto'}}>
+						{proposals.map((proposal, proposalIndex) => {
+							const line = getLine(proposal)
+							if (!line) return null
+							const sungWordIndexes = getSungWordIndexes(line)
+							const hasWordTiming = line.words.some(word => word.start > 0 || word.end > 0)
+
+							return (
+								<div
+									key={`${proposal.blockIndex}-${proposal.lineIndex}`}
+									style={{
+										padding: '0.5rem',
+										marginBottom: '0.5rem',
+										background: '#f8f9fa',
+										borderRadius: '6px',
+										fontSize: '0.8rem'
+									}}
+								>
+									<div style={{display: 'flex', alignItems: 'center', gap: '0.25rem', marginBottom: '0.25rem'}}>
+										<strong style={{flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'}}>
+											{getLineText(line)}
+										</strong>
+										<button onClick={() => onPreview(line.start / 1000)} title="Play from line start" style={smallButtonStyle('#667eea')}>▶</button>
+										<button onClick={() => acceptProposals([proposalIndex])} disabled={disabled} style={smallButtonStyle('#28a745')}>✓</button>
+										<button onClick={() => removeProposals([proposalIndex])} style={smallButtonStyle('#dc3545')}>✕</button>
+									</div>
+									{hasWordTiming && (
+										<div style={{color: '#856404', marginBottom: '0.25rem'}}>Replaces recorded word timing</div>
+									)}
+									<div style={{display: 'flex', flexWrap: 'wrap', gap: '0.25rem'}}>
+										{sungWordIndexes.map((wordIndex, startIndex) => (
+											<label key={wordIndex} style={{display: 'flex', alignItems: 'center', gap: '2px'}}>
+												{getWordText(line.words[wordIndex])}
+												<input
+													type="number"
+													step="0.01"
+													defaultValue={(proposal.starts[startIndex] / 1000).toFixed(2)}
+													onBlur={(e) => updateStart(proposalIndex, startIndex, e.target.value)}
+													style={{width: '60px', fontSize: '0.75rem', padding: '1px 2px'}}
+												/>
+											</label>
+										))}
+									</div>
+								</div>
+							)
+						})}
+					</div>
+				</>
+			)}
+		</div>
+	)
+}
+
+export default OnsetSuggestionsPanel
@@ -0,0 +1,99 @@
+/**
+ * ProblemsPanel Component
+ *
+ * List of timing problems found by the consistency checker.
+ * Features:
+ * - Problem message with the token path
+ * - Jump to the token in its recording mode
+ * - One-click fix per problem and "Fix all"
+ */
+
+import React from 'react'
+
+const MAX_LISTED_PROBLEMS = 50
+
+/**
+ * @param {Object} props
+ * @param {Array} props.problems - Problems from checkTimingConsistency
+ * @param {boolean} props.disabled - Disable fixes (while recording or previewing)
+ * @param {Function} props.onJump - Called with the problem's token reference
+ * @param {Function} props.onFix - Called with a problem to apply its fix
+ * @param {Function} props.onFixAll - Applies all available fixes
+ */
+function ProblemsPanel({problems, disabled, onJump, onFix, onFixAll}) {
+	if (problems.length === 0) {
+		return <p style={{fontSize: '0.8rem', color: '#28a745', margin: 0}}>✅ No timing problems found</p>
+	}
+
+	const fixableCount = problems.filter(problem => problem.fix).length
+
+	const smallButtonStyle = (color) => ({
+		padding: '2px 6px',
+		borderRadius: '4px',
+		border: `1px solid ${color}`,
+		background: 'white',
+		color,
+		cursor: disabled ? 'not-allowed' : 'pointer',
+		fontSize: '0.7rem',
+		flexShrink: 0
+	})
+
+	return (
+		<div>
+			<div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem'}}>
+				<span style={{fontSize: '0.8rem', color: '#856404'}}>
+					⚠️ {problems.length} problem(s), {fixableCount} fixable
+				</span>
+				{fixableCount > 0 && (
+					<button onClick={onFixAll} disabled={disabled} style={smallButtonStyle('#28a745')}>
+						✓ Fix all
+					</button>
+				)}
+			</div>
+
+			<div style={{
+				maxHeight: '250px',
+				overflowY: 'auto',
+				border: '1px solid #eee',
+				borderRadius: '6px'
+			}}>
+				{problems.slice(0, MAX_LISTED_PROBLEMS).map((problem, index) => (
+					<div key={index} style={{
+						padding: '4px 8px',
+						borderBottom: '1px solid #eee',
+						fontSize: '0.8rem'
+					}}>
+						<div style={{display: 'flex', gap: '0.25rem', alignItems: 'flex-start'}}>
+							<span style={{flex: 1, color: '#333'}}>{problem.message}</span>
+							<button
+								onClick={() => onJump(problem.ref)}
+								title="Select this token"
+								style={smallButtonStyle('#667eea')}
+							>
+								↗
+							</button>
+							{problem.fix && (
+								<button
+									onClick={() => onFix(problem)}
+									disabled={disabled}
+									title={problem.fix.label}
+									style={smallButtonStyle('#28a745')}
+								>
+									✓
+								</button>
+							)}
+						</div>
+						<div style={{fontSize: '0.7rem', color: '#999', fontFamily: 'monospace'}}>{problem.path}</div>
+					</div>
+				))}
+			</div>
+			{problems.length > MAX_LISTED_PROBLEMS && (
+				<p style={{fontSize: '0.75rem', color: '#666', margin: '0.25rem 0 0 0'}}>
+					…and {problems.length - MAX_LISTED_PROBLEMS} more
+				</p>
+			)}
+		</div>
+	)
+}
+
+export default ProblemsPanel
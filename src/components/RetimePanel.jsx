@@ -0,0 +1,177 @@
+/**
+ * RetimePanel Component
+ *
+ * Whole-song retiming controls for moving timings to a different audio master.
+ * Features:
+ * - Global offset in seconds
+ * - Two anchor points (old time → new time) for a linear stretch
+ * - Anchor times taken from the playhead
+ * - Preview on the audio before applying
+ */
+
+import React, {useState} from 'react'
+
+/**
+ * @param {Object} props
+ * @param {number} props.currentTime - Playhead position in seconds
+ * @param {boolean} props.previewActive - A retime preview is shown
+ * @param {boolean} props.disabled - Disable the tool (while recording)
+ * @param {Function} props.onPreview - Called with retime options {mode, offset, anchors} (ms)
+ * @param {Function} props.onApply - Commits the preview
+ * @param {Function} props.onCancel - Discards the preview
+ */
+function RetimePanel({currentTime, previewActive, disabled, onPreview, onApply, onCancel}) {
+	const [mode, setMode] = useState('offset') // 'offset' or 'anchors'
+	const [offset, setOffset] = useState('0')
+	const [anchors, setAnchors] = useState([
+		{from: '0', to: '0'},
+		{from: '60', to: '60'}
+	])
+
+	/**
+	 * Update one anchor field
+	 * @param {number} index - Anchor index
+	 * @param {string} field - 'from' or 'to'
+	 * @param {string} value - Time in seconds
+	 */
+	const updateAnchor = (index, field, value) => {
+		setAnchors(anchors.map((anchor, i) => i === index ? {...anchor, [field]: value} : anchor))
+	}
+
+	/**
+	 * Convert the form to retime options in milliseconds
+	 * @returns {Object} Retime options
+	 */
+	const getOptions = () => ({
+		mode,
+		offset: Math.round(parseFloat(offset || 0) * 1000),
+		anchors: anchors.map(anchor => ({
+			from: Math.round(parseFloat(anchor.from || 0) * 1000),
+			to: Math.round(parseFloat(anchor.to || 0) * 1000)
+		}))
+	})
+
+	const inputStyle = {
+		width: '70px',
+		padding: '4px 6px',
+		borderRadius: '4px',
+		border: '1px solid #ddd',
+		fontSize: '0.8rem'
+	}
+
+	const smallButtonStyle = {
+		padding: '2px 6px',
+		borderRadius: '4px',
+		border: '1px solid #667eea',
+		background: 'white',
+		color: '#667eea',
+		cursor: 'pointer',
+		fontSize: '0.7rem'
+	}
+
+	const actionButtonStyle = (color, filled) => ({
+		flex: 1,
+		padding: '6px 12px',
+		borderRadius: '6px',
+		border: `2px solid ${color}`,
+		background: filled ? color : 'white',
+		color: filled ? 'white' : color,
+		cursor: disabled ? 'not-allowed' : 'pointer',
+		fontSize: '0.85rem'
+	})
+
+	return (
+		<div style={{fontSize: '0.85rem', color: '#333'}}>
+			<div style={{display: 'flex', gap: '0.5rem', marginBottom: '0.75rem'}}>
+				{[
+					{value: 'offset', label: 'Offset'},
+					{value: 'anchors', label: 'Two anchors'}
+				].map(option => (
+					<label key={option.value} style={{display: 'flex', alignItems: 'center', gap: '0.25rem'}}>
+						<input
+							type="radio"
+							checked={mode === option.value}
+							onChange={() => setMode(option.value)}
+						/>
+						{option.label}
+					</label>
+				))}
+			</div>
+
+			{mode === 'offset' ? (
+				<label style={{display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.75rem'}}>
+					Shift all tokens by
+					<input
+						type="number"
+						step="0.01"
+						value={offset}
+						onChange={(e) => setOffset(e.target.value)}
+						style={inputStyle}
+					/>
+					s
+				</label>
+			) : (
+				<div style={{marginBottom: '0.75rem'}}>
+					{anchors.map((anchor, index) => (
+						<div key={index} style={{display: 'flex', alignItems: 'center', gap: '0.25rem', marginBottom: '0.25rem'}}>
+							<input
+								type="number"
+								step="0.01"
+								value={anchor.from}
+								onChange={(e) => updateAnchor(index, 'from', e.target.value)}
+								title="Old time (s)"
+								style={inputStyle}
+							/>
+							→
+							<input
+								type="number"
+								step="0.01"
+								value={anchor.to}
+								onChange={(e) => updateAnchor(index, 'to', e.target.value)}
+								title="New time (s)"
+								style={inputStyle}
+							/>
+							<button
+								onClick={() => updateAnchor(index, 'to', currentTime.toFixed(2))}
+								title="Use the playhead as new time"
+								style={smallButtonStyle}
+							>
+								⏱
+							</button>
+						</div>
+					))}
+					<p style={{fontSize: '0.75rem', color: '#666', margin: '0.25rem 0 0 0'}}>
+						Old time → new time in seconds. Times between and beyond the anchors are stretched linearly.
+					</p>
+				</div>
+			)}
+
+			<div style={{display: 'flex', gap: '0.5rem'}}>
+				<button
+					onClick={() => onPreview(getOptions())}
+					disabled={disabled}
+					style={actionButtonStyle('#667eea', false)}
+				>
+					{previewActive ? '🔄 Update' : '👁 Preview'}
+				</button>
+				{previewActive && (
+					<>
+						<button onClick={onApply} disabled={disabled} style={actionButtonStyle('#28a745', true)}>
+							✓ Apply
+						</button>
+						<button onClick={onCancel} style={actionButtonStyle('#dc3545', false)}>
+							✕
+						</button>
+					</>
+				)}
+			</div>
+			{previewActive && (
+				<p style={{fontSize: '0.75rem', color: '#856404', margin: '0.5rem 0 0 0'}}>
+					Previewing retimed lyrics, play the audio to check. Recording is paused until you apply or cancel.
+				</p>
+			)}
+		</div>
+	)
+}
+
+export default RetimePanel
@@ -0,0 +1,159 @@
+/**
+ * SubtitleExportPanel Component
+ *
+ * Shared subtitle export controls for the timing sync and playback screens.
+ * Features:
+ * - Advanced SubStation Alpha (.ass) export with {\k} / {\kf} karaoke tags
+ * - Per-word or per-char karaoke timing
+ * - SRT and WebVTT line-level captions
+ * - Optional WebVTT word timestamps and voice styles
+ */
+
+import React, {useState} from 'react'
+import {downloadTextFile} from '../utils/download'
+import {exportAss} from '../utils/ass'
+import {exportSrt, exportWebVtt} from '../utils/captions'
+
+/**
+ * @param {Object} props
+ * @param {Function} props.getExportData - Returns the karaoke data (with voices) to export
+ * @param {string} props.baseFileName - File name prefix for the downloads
+ * @param {string} props.title - Song title written into the files
+ */
+function SubtitleExportPanel({getExportData, baseFileName, title}) {
+	const [assGranularity, setAssGranularity] = useState('words') // 'words', 'syllables' or 'chars'
+	const [assSweep, setAssSweep] = useState(true) // {\kf} sweep instead of {\k} jump
+	const [vttWordTimestamps, setVttWordTimestamps] = useState(true) // Inline <hh:mm:ss.mmm> word tags
+	const [vttVoiceClasses, setVttVoiceClasses] = useState(true) // ::cue styles per voice
+
+	/**
+	 * Export karaoke data as ASS subtitle file
+	 */
+	const exportAssFile = () => {
+		const data = getExportData()
+		if (!data) {
+			alert('No karaoke data to export')
+			return
+		}
+
+		const assText = exportAss(data, {
+			granularity: assGranularity,
+			sweep: assSweep,
+			title
+		})
+		downloadTextFile(assText, `${baseFileName || 'karaoke'}.ass`)
+		console.log(`Exported ASS subtitles (${assGranularity}, ${assSweep ? '\\kf' : '\\k'})`)
+	}
+
+	/**
+	 * Export karaoke lines as SRT or WebVTT captions
+	 * @param {string} format - 'srt' or 'vtt'
+	 */
+	const exportCaptionFile = (format) => {
+		const data = getExportData()
+		if (!data) {
+			alert('No karaoke data to export')
+			return
+		}
+
+		if (format === 'srt') {
+			downloadTextFile(exportSrt(data), `${baseFileName || 'karaoke'}.srt`, 'application/x-subrip')
+		} else {
+			const vttText = exportWebVtt(data, {
+				wordTimestamps: vttWordTimestamps,
+				voiceClasses: vttVoiceClasses
+			})
+			downloadTextFile(vttText, `${baseFileName || 'karaoke'}.vtt`, 'text/vtt')
+		}
+		console.log(`Exported ${format.toUpperCase()} captions`)
+	}
+
+	return (
+		<div style={{marginBottom: '1rem'}}>
+			<div style={{display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.5rem'}}>
+				<select
+					value={assGranularity}
+					onChange={(e) => setAssGranularity(e.target.value)}
+					style={{
+						flex: 1,
+						padding: '4px 8px',
+						borderRadius: '4px',
+						border: '1px solid #ddd',
+						fontSize: '0.8rem'
+					}}
+				>
+					<option value="words">Per word</option>
+					<option value="syllables">Per syllable</option>
+					<option value="chars">Per char</option>
+				</select>
+				<label style={{display: 'flex', alignItems: 'center', gap: '0.25rem', fontSize: '0.8rem', color: '#666'}}>
+					<input
+						type="checkbox"
+						checked={assSweep}
+						onChange={(e) => setAssSweep(e.target.checked)}
+					/>
+					Sweep (\kf)
+				</label>
+			</div>
+			<button
+				onClick={exportAssFile}
+				style={{
+					width: '100%',
+					padding: '8px 12px',
+					borderRadius: '6px',
+					border: '2px solid #667eea',
+					background: 'white',
+					color: '#667eea',
+					cursor: 'pointer',
+					fontSize: '0.9rem'
+				}}
+			>
+				📥 ASS Karaoke Subtitles
+			</button>
+			
+			<div style={{display: 'flex', gap: '0.5rem', marginTop: '1rem', marginBottom: '0.5rem'}}>
+				{[
+					{value: 'srt', label: 'SRT'},
+					{value: 'vtt', label: 'WebVTT'}
+				].map(format => (
+					<button
+						key={format.value}
+						onClick={() => exportCaptionFile(format.value)}
+						style={{
+							flex: 1,
+							padding: '8px 12px',
+							borderRadius: '6px',
+							border: '2px solid #667eea',
+							background: 'white',
+							color: '#667eea',
+							cursor: 'pointer',
+							fontSize: '0.9rem'
+						}}
+					>
+						📥 {format.label}
+					</button>
+				))}
+			</div>
+			<div style={{display: 'flex', gap: '1rem', flexWrap: 'wrap', fontSize: '0.8rem', color: '#666'}}>
+				<label style={{display: 'flex', alignItems: 'center', gap: '0.25rem'}}>
+					<input
+						type="checkbox"
+						checked={vttWordTimestamps}
+						onChange={(e) => setVttWordTimestamps(e.target.checked)}
+					/>
+					VTT word timestamps
+				</label>
+				<label style={{display: 'flex', alignItems: 'center', gap: '0.25rem'}}>
+					<input
+						type="checkbox"
+						checked={vttVoiceClasses}
+						onChange={(e) => setVttVoiceClasses(e.target.checked)}
+					/>
+					VTT voice styles
+				</label>
+			</div>
+		</div>
+	)
+}
+
+export default SubtitleExportPanel
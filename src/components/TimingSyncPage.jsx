@@ -11,17 +11,71 @@
  * - Keyboard controls for synchronization (W key to advance)
  * - Fixed audio player bar at bottom
  * - Scrollable settings panel
+ * - Project autosave to IndexedDB, resumable after a page refresh
+ * - Undo/redo history (Ctrl+Z / Ctrl+Shift+Z) for timing, voice and mode edits
+ * - Zoomable waveform timeline with draggable token boundaries
+ * - Word pre-timing from detected audio onsets
+ * - Block boundary suggestions from vocal gaps, shown on the timeline
+ * - Retime tool (offset or two-anchor stretch) with preview
+ * - Token inspector with editable timing and nudge keys ([ ] start, , . end)
+ * - Timing consistency checker with one-click fixes, run before JSON export
+ * - Untimed tokens filled on export by a selectable distribution strategy
+ * - Optional syllable recording mode between words and chars
  */
 
-import React, {useState, useRef, useEffect} from 'react'
+import React, {useState, useRef, useEffect, useMemo} from 'react'
 import {useLocation, useNavigate} from 'react-router-dom'
+import {downloadTextFile} from '../utils/download'
+import {exportLrc} from '../utils/lrc'
+import {exportUltraStar} from '../utils/ultrastar'
+import {createProjectId, loadProject, saveProject, saveProjectAudio} from '../utils/projectStorage'
+import {createHistory, pushHistoryEntry, travelHistory} from '../utils/editHistory'
+import {decodeAudio} from '../utils/audioAnalysis'
+import {getLineText, isTimedToken} from '../utils/karaokeText'
+import {detectVocalGaps, suggestBlockBoundaries} from '../utils/blockBoundaries'
+import {createRetimeMapping, retimeKaraokeData} from '../utils/retime'
+import {checkTimingConsistency, applyTimingFix, applyAllTimingFixes} from '../utils/timingConsistency'
+import {DISTRIBUTION_STRATEGIES, fillUntimedTokens} from '../utils/timingDistribution'
+import {detectOnsets} from '../utils/onsetDetection'
+import {addMissingSyllables, splitChars, splitWords} from '../utils/karaokeBuilder'
+import {getSyllableCharRanges} from '../utils/syllables'
+import SubtitleExportPanel from './SubtitleExportPanel'
+import HistoryPanel from './HistoryPanel'
+import WaveformTimeline from './WaveformTimeline'
+import OnsetSuggestionsPanel from './OnsetSuggestionsPanel'
+import RetimePanel from './RetimePanel'
+import TokenInspector from './TokenInspector'
+import ProblemsPanel from './ProblemsPanel'
 
 function TimingSyncPage() {
 	const location = useLocation()
 	const navigate = useNavigate();
-	const audioFile = location.state?.audioFile
-	const initialAudioUrl = location.state?.audioUrl
-	const initialKaraokeData = location.state?.karaokeData
+	// Captured once, location.state is replaced with the project id after the first save
+	const initialState = useRef(location.state || {}).current
+	const initialAudioUrl = initialState.audioUrl
+	const initialKaraokeData = addMissingSyllables(initialState.karaokeData) // Syllables are optional in files, see karaokeMigrations
+	const [audioFile, setAudioFile] = useState(initialState.audioFile)
+	
+	// Project persistence state
+	const [projectId, setProjectId] = useState(initialState.projectId || null)
+	const [projectStatus, setProjectStatus] = useState(initialState.projectId ? 'loading' : null) // 'loading', 'saved', 'error'
+	const autosaveRequestedRef = useRef(false) // Set by edits, handled after the next render
+	const projectInitializedRef = useRef(false) // Guards against creating the project twice
+	
+	// Undo/redo stacks of editor snapshots
+	const [editHistory, setEditHistory] = useState(createHistory())
+	
+	// Decoded audio for the waveform timeline
+	const [audioBuffer, setAudioBuffer] = useState(null)
+	const [blockSuggestions, setBlockSuggestions] = useState([]) // [{blockIndex, start, end}]
+	const [detectingBlocks, setDetectingBlocks] = useState(false)
+	
+	// Snapshot before a retime preview, null when no preview is shown
+	const [retimeOriginal, setRetimeOriginal] = useState(null)
+	
+	// How untimed tokens are filled on export
+	const [distributionStrategy, setDistributionStrategy] = useState('chars')
+	const [audioOnsets, setAudioOnsets] = useState(null) // Detected for the onsets strategy
 	
 	// Audio playback state
 	const [isPlaying, setIsPlaying] = useState(false)
@@ -33,10 +87,13 @@ function TimingSyncPage() {
 	// Karaoke data state (mutable copy from initial data)
 	const [karaokeData, setKaraokeData] = useState(initialKaraokeData)
 	
+	// Timing problems walk every token, only recheck when the data changes
+	const timingProblems = useMemo(() => checkTimingConsistency(karaokeData), [karaokeData])
+	
 	// Voice and synchronization state
 	const [voices, setVoices] = useState(initialKaraokeData?.voices || [])
 	const [currentVoice, setCurrentVoice] = useState(1)
-	const [recordingMode, setRecordingMode] = useState('blocks') // 'blocks', 'lines', 'words', 'chars'
+	const [recordingMode, setRecordingMode] = useState('blocks') // 'blocks', 'lines', 'words', 'syllables', 'chars'
 	const [activeTokenIndex, setActiveTokenIndex] = useState(0)
 	const [isRecording, setIsRecording] = useState(false)
 	const [recordingStartTime, setRecordingStartTime] = useState(null)
@@ -44,6 +101,7 @@ function TimingSyncPage() {
 	const [unlockedModes, setUnlockedModes] = useState(['blocks', 'lines']) // Start with blocks and lines unlocked
 	const [voicesExpanded, setVoicesExpanded] = useState(false) // Voice section collapsed by default
 	const [syncLocked, setSyncLocked] = useState(false) // Token-playhead sync lock
+	const [ultraStarBpm, setUltraStarBpm] = useState(initialKaraokeData?.bpm || 300) // Beat grid for UltraStar export
 	const wKeyPressedRef = useRef(false) // Use ref for immediate state tracking
 	
 	const audioRef = useRef(null)
@@ -60,6 +118,40 @@ function TimingSyncPage() {
 		}
 	}, [audioFile, initialAudioUrl])
 	
+	// Decode audio for the waveform timeline
+	useEffect(() => {
+		if (!audioUrl) return
+		let cancelled = false
+		
+		setAudioBuffer(null)
+		setAudioOnsets(null)
+		decodeAudio(audioUrl)
+			.then(buffer => {
+				if (!cancelled) setAudioBuffer(buffer)
+			})
+			.catch(error => console.error('Error decoding audio for waveform:', error))
+		
+		return () => {
+			cancelled = true
+		}
+	}, [audioUrl])
+	
+	// Detect onsets once the onsets distribution strategy is selected
+	useEffect(() => {
+		if (distributionStrategy !== 'onsets' || !audioBuffer || audioOnsets) return
+		let cancelled = false
+		
+		detectOnsets(audioBuffer)
+			.then(onsets => {
+				if (!cancelled) setAudioOnsets(onsets)
+			})
+			.catch(error => console.error('Error detecting onsets:', error))
+		
+		return () => {
+			cancelled = true
+		}
+	}, [distributionStrategy, audioBuffer, audioOnsets])
+	
 	// Audio control handlers
 	const handlePlayPause = () => {
 		if (audioRef.current) {
@@ -168,6 +260,7 @@ function TimingSyncPage() {
 	
 	/**
 	 * Clean up and interpolate timing data for child tokens
+	 * Untimed runs are filled with the selected distribution strategy, recorded tokens are kept
 	 * @param {Object} data - The karaoke data to process
 	 * @returns {Object} Cleaned karaoke data
 	 */
@@ -176,100 +269,56 @@ function TimingSyncPage() {
 
 		const cleanedData = JSON.parse(JSON.stringify(data)) // Deep copy
 
+		/**
+		 * Fill untimed children inside a recorded parent with the selected strategy
+		 * @param {Array} tokens - Child tokens
+		 * @param {Object} parent - Parent token
+		 * @param {number} voice - Voice inherited by filled tokens
+		 */
+		const fillChildren = (tokens, parent, voice) => {
+			if (!isTimedToken(parent)) return
+			fillUntimedTokens(tokens, parent, distributionStrategy, audioOnsets || []).forEach(token => {
+				token.voice = token.voice || voice // Inherit parent voice
+			})
+		}
+
 		cleanedData.blocks.forEach(block => {
 			// Clean up lines within blocks first
 			if (block.lines && Array.isArray(block.lines)) {
-				const timedLines = block.lines.filter(line => 
-					typeof line.start === 'number' && typeof line.end === 'number' && 
-					(line.start !== 0 || line.end !== 0)
-				)
-
-				if (timedLines.length === 0) {
-					// No lines have timing - this shouldn't happen for blocks, but handle it
-					// Keep the lines but they'll have no timing data
-				} else if (timedLines.length < block.lines.length) {
-					// Some lines have timing - use linear distribution for all lines
-					const totalDuration = block.end - block.start
-					const tokenCount = block.lines.length
-					const tokenDuration = totalDuration / tokenCount
-					
-					block.lines = block.lines.map((line, index) => {
-						const startTime = block.start + (index * tokenDuration)
-						const endTime = block.start + ((index + 1) * tokenDuration)
-						
-						return {
-							...line,
-							start: Math.round(startTime),
-							end: Math.round(endTime),
-							voice: line.voice || block.voice // Inherit parent voice
-						}
-					})
-				}
+				fillChildren(block.lines, block, block.voice)
 			}
 
 			block.lines.forEach(line => {
 				// Clean up words
 				if (line.words && Array.isArray(line.words)) {
-					const timedWords = line.words.filter(word => 
-						typeof word.start === 'number' && typeof word.end === 'number' && 
-						(word.start !== 0 || word.end !== 0)
-					)
-
-					if (timedWords.length === 0) {
-						// No words have timing - remove all word data
+					const hasReadings = line.words.some(word => word.reading || (word.chars || []).some(char => char.reading))
+					if (!line.words.some(isTimedToken) && !hasReadings) {
+						// No words have timing or furigana - remove all word data
 						delete line.words
-					} else if (timedWords.length < line.words.length) {
-						// Some words have timing - use linear distribution for all words
-						const totalDuration = line.end - line.start
-						const tokenCount = line.words.length
-						const tokenDuration = totalDuration / tokenCount
-						
-						const interpolatedWords = line.words.map((word, index) => {
-							const startTime = line.start + (index * tokenDuration)
-							const endTime = line.start + ((index + 1) * tokenDuration)
-							
-							return {
-								...word,
-								start: Math.round(startTime),
-								end: Math.round(endTime),
-								voice: word.voice || line.voice // Inherit parent voice
-							}
-						})
-						
-						line.words = interpolatedWords
+					} else {
+						// Words with furigana are kept even if only the line was recorded
+						fillChildren(line.words, line, line.voice)
 					}
 
-					// Clean up characters for each word
+					// Clean up syllables and characters for each word
 					if (line.words) {
 						line.words.forEach(word => {
-							if (word.chars && Array.isArray(word.chars)) {
-								const timedChars = word.chars.filter(char => 
-									typeof char.start === 'number' && typeof char.end === 'number' && 
-									(char.start !== 0 || char.end !== 0)
-								)
+							if (word.syllables && Array.isArray(word.syllables)) {
+								if (!word.syllables.some(isTimedToken)) {
+									// No syllables have timing - remove all syllable data
+									delete word.syllables
+								} else {
+									fillChildren(word.syllables, word, word.voice || line.voice)
+								}
+							}
 
-								if (timedChars.length === 0) {
-									// No chars have timing - remove all char data
+							if (word.chars && Array.isArray(word.chars)) {
+								if (!word.chars.some(isTimedToken) && !word.chars.some(char => char.reading)) {
+									// No chars have timing or furigana - remove all char data
 									delete word.chars
-								} else if (timedChars.length < word.chars.length) {
-									// Some chars have timing - use linear distribution for all chars
-									const totalDuration = word.end - word.start
-									const tokenCount = word.chars.length
-									const tokenDuration = totalDuration / tokenCount
-									
-									const interpolatedChars = word.chars.map((char, index) => {
-										const startTime = word.start + (index * tokenDuration)
-										const endTime = word.start + ((index + 1) * tokenDuration)
-										
-										return {
-											...char,
-											start: Math.round(startTime),
-											end: Math.round(endTime),
-											voice: char.voice || word.voice || line.voice // Inherit parent voice
-										}
-									})
-									
-									word.chars = interpolatedChars
+								} else {
+									// Chars with furigana are kept even if only the word was recorded
+									fillChildren(word.chars, word, word.voice || line.voice)
 								}
 							}
 						})
@@ -452,6 +501,48 @@ function TimingSyncPage() {
 		updateParentTimingFromWords(updatedData)
 	}
 
+	/**
+	 * Update word, line and block timing based on child syllables timing
+	 * Called when recording syllables to ensure parent words, lines and blocks are updated
+	 */
+	const updateParentTimingFromSyllables = (updatedData) => {
+		updatedData.blocks.forEach(block => {
+			block.lines.forEach(line => {
+				if (!line.words || line.words.length === 0) return
+				
+				line.words.forEach(word => {
+					if (!word.syllables || word.syllables.length === 0) return
+					
+					// Get all syllables with valid timing
+					const timedSyllables = word.syllables.filter(syllable => 
+						typeof syllable.start === 'number' && typeof syllable.end === 'number' && 
+						syllable.start > 0 && syllable.end > 0
+					)
+					
+					if (timedSyllables.length === 0) return
+					
+					// Calculate word timing from children
+					const wordStart = Math.min(...timedSyllables.map(syllable => syllable.start))
+					const wordEnd = Math.max(...timedSyllables.map(syllable => syllable.end))
+					
+					// Update word timing if not recorded or out of bounds
+					if (!word.start || word.start === 0 || word.start > wordStart) {
+						word.start = wordStart
+						console.log(`🔤 Updated word start to ${wordStart}ms based on child syllables`)
+					}
+					
+					if (!word.end || word.end === 0 || word.end < wordEnd) {
+						word.end = wordEnd
+						console.log(`🔤 Updated word end to ${wordEnd}ms based on child syllables`)
+					}
+				})
+			})
+		})
+		
+		// Also update lines and blocks based on updated words
+		updateParentTimingFromWords(updatedData)
+	}
+
 	/**
 	 * Record timestamp for current active token
 	 * @param {number} timestamp - Current audio time in milliseconds
@@ -463,7 +554,7 @@ function TimingSyncPage() {
 	 * @returns {string|null} Next mode or null if finished
 	 */
 	const getNextRecordingMode = (currentMode) => {
-		const modes = ['blocks', 'lines', 'words', 'chars']
+		const modes = ['blocks', 'lines', 'words', 'syllables', 'chars']
 		const currentIndex = modes.indexOf(currentMode)
 		return currentIndex < modes.length - 1 ? modes[currentIndex + 1] : null
 	}
@@ -576,6 +667,36 @@ function TimingSyncPage() {
 				setActiveTokenIndex(newWordIndex)
 				break
 				
+			case 'syllables':
+				// Navigate words: jump to the first syllable of the next or previous sung word
+				const syllableTokens = getTokensByModeType('syllables')
+				if (!syllableTokens[activeTokenIndex]) break
+				const getWordKey = (token) => `${token.blockIndex}-${token.lineIndex}-${token.wordIndex}`
+				const getWordStartIndex = (index) => {
+					let startIndex = index
+					while (startIndex > 0 && getWordKey(syllableTokens[startIndex - 1]) === getWordKey(syllableTokens[index])) startIndex--
+					return startIndex
+				}
+				
+				const currentWordStart = getWordStartIndex(activeTokenIndex)
+				let targetSyllableIndex = -1
+				if (direction > 0) {
+					const currentWordKey = getWordKey(syllableTokens[activeTokenIndex])
+					targetSyllableIndex = syllableTokens.findIndex((token, index) =>
+						index > activeTokenIndex && getWordKey(token) !== currentWordKey && !isSpaceToken(token))
+				} else {
+					for (let index = currentWordStart - 1; index >= 0; index--) {
+						if (!isSpaceToken(syllableTokens[index])) {
+							targetSyllableIndex = getWordStartIndex(index)
+							break
+						}
+					}
+				}
+				if (targetSyllableIndex !== -1) {
+					setActiveTokenIndex(targetSyllableIndex)
+				}
+				break
+				
 			case 'chars':
 				// Navigate words
 				const currentCharIndex = activeTokenIndex
@@ -617,6 +738,14 @@ function TimingSyncPage() {
 						line.words.every(word => word.start > 0 && word.end > 0)
 					)
 				)
+			case 'syllables':
+				return karaokeData.blocks.every(block => 
+					block.lines.every(line => 
+						line.words.every(word => 
+							(word.syllables || []).every(syllable => syllable.start > 0 && syllable.end > 0)
+						)
+					)
+				)
 			case 'chars':
 				return karaokeData.blocks.every(block => 
 					block.lines.every(line => 
@@ -660,7 +789,7 @@ function TimingSyncPage() {
 	 * Update unlocked modes based on current token recording status and completion
 	 */
 	const updateUnlockedModes = () => {
-		const modes = ['blocks', 'lines', 'words', 'chars']
+		const modes = ['blocks', 'lines', 'words', 'syllables', 'chars']
 		const newUnlockedModes = ['blocks', 'lines'] // Always start with blocks and lines
 		
 		// Traditional completion-based unlocking (start from lines since blocks and lines are always unlocked)
@@ -690,6 +819,11 @@ function TimingSyncPage() {
 			newUnlockedModes.push(recordingMode)
 		}
 		
+		// Syllables are optional, chars can be recorded right after words
+		if (newUnlockedModes.includes('syllables') && !newUnlockedModes.includes('chars')) {
+			newUnlockedModes.push('chars')
+		}
+		
 		console.log('Updated unlocked modes:', newUnlockedModes)
 		setUnlockedModes(newUnlockedModes)
 	}
@@ -703,6 +837,11 @@ function TimingSyncPage() {
 			return
 		}
 		
+		// Check timing before the cleanup hides mistakes behind interpolation
+		if (timingProblems.length > 0 && !confirm(`Found ${timingProblems.length} timing problem(s), see the Problems panel. Export anyway?`)) {
+			return
+		}
+		
 		// Clean up and interpolate timing data before export
 		const cleanedData = cleanupTimingData(karaokeData)
 		
@@ -713,22 +852,471 @@ function TimingSyncPage() {
 		}
 		
 		const dataStr = JSON.stringify(exportData, null, 2)
-		const dataBlob = new Blob([dataStr], { type: 'application/json' })
-		const url = URL.createObjectURL(dataBlob)
-		
-		const link = document.createElement('a')
-		link.href = url
-		link.download = `${audioFile?.name || 'karaoke'}.json`
-		document.body.appendChild(link)
-		link.click()
-		document.body.removeChild(link)
-		URL.revokeObjectURL(url)
+		downloadTextFile(dataStr, `${audioFile?.name || 'karaoke'}.json`, 'application/json')
 		
 		console.log('Exported karaoke data:', exportData)
 	}
+	
+	/**
+	 * Export karaoke data as LRC file
+	 * @param {boolean} enhanced - Write word-level Enhanced LRC tags
+	 */
+	const exportLrcFile = (enhanced) => {
+		if (!karaokeData) {
+			alert('No karaoke data to export')
+			return
+		}
+		
+		// LRC is built from the same cleaned data as the JSON export
+		const cleanedData = cleanupTimingData(karaokeData)
+		const lrcText = exportLrc(cleanedData, {
+			enhanced,
+			title: cleanedData.title || audioFile?.name.replace(/\.[^.]+$/, '') || '',
+			artist: cleanedData.artist || ''
+		})
+		
+		downloadTextFile(lrcText, `${audioFile?.name || 'karaoke'}${enhanced ? '.enhanced' : ''}.lrc`)
+		console.log(`Exported ${enhanced ? 'Enhanced ' : ''}LRC`)
+	}
+	
+	/**
+	 * Export karaoke data as UltraStar song file
+	 * Note timings are quantized to the beat grid of the chosen BPM
+	 */
+	const exportUltraStarFile = () => {
+		if (!karaokeData) {
+			alert('No karaoke data to export')
+			return
+		}
+		
+		const bpm = parseFloat(ultraStarBpm)
+		if (!bpm || bpm <= 0) {
+			alert('Please enter a BPM greater than 0 for the UltraStar export')
+			return
+		}
+		
+		const cleanedData = cleanupTimingData(karaokeData)
+		const ultraStarText = exportUltraStar({...cleanedData, voices}, {
+			bpm,
+			title: cleanedData.title || audioFile?.name.replace(/\.[^.]+$/, '') || '',
+			artist: cleanedData.artist || '',
+			audioFileName: audioFile?.name || cleanedData.audioFile || ''
+		})
+		
+		downloadTextFile(ultraStarText, `${audioFile?.name || 'karaoke'}.ultrastar.txt`)
+		console.log(`Exported UltraStar file at ${bpm} BPM`)
+	}
 
+	/**
+	 * Capture the editable state for the undo history
+	 * @returns {Object} Deep copy of karaoke data plus voices, mode and token index
+	 */
+	const captureSnapshot = () => ({
+		karaokeData: JSON.parse(JSON.stringify(karaokeData)), // Tokens are mutated in place
+		voices: [...voices],
+		recordingMode,
+		activeTokenIndex
+	})
+	
+	/**
+	 * Add an undo step holding the state before an edit
+	 * @param {string} label - Description shown in the history list
+	 * @param {string} mergeKey - Optional key to merge rapid repeated edits
+	 */
+	const recordHistory = (label, mergeKey = null) => {
+		if (!karaokeData) return
+		const snapshot = captureSnapshot()
+		setEditHistory(history => pushHistoryEntry(history, label, snapshot, mergeKey))
+	}
+	
+	/**
+	 * Restore editor state from a snapshot or stored project
+	 * @param {Object} snapshot - Karaoke data, voices, recording mode and token index
+	 */
+	const restoreSnapshot = (snapshot) => {
+		previousModeRef.current = snapshot.recordingMode // Keep the restored token index
+		setKaraokeData({...snapshot.karaokeData, voices: snapshot.voices})
+		setVoices(snapshot.voices)
+		setRecordingMode(snapshot.recordingMode)
+		setActiveTokenIndex(snapshot.activeTokenIndex)
+	}
+	
+	/**
+	 * Undo or redo edits
+	 * @param {number} steps - Negative to undo, positive to redo
+	 */
+	const handleHistoryTravel = (steps) => {
+		if (!karaokeData || isRecording || retimeOriginal) return
+		
+		const result = travelHistory(editHistory, captureSnapshot(), steps)
+		if (!result.snapshot) return
+		
+		setEditHistory(result.history)
+		restoreSnapshot(result.snapshot)
+		autosaveRequestedRef.current = true
+		console.log(`${steps < 0 ? '↶ Undo' : '↷ Redo'} ${Math.abs(steps)} step(s)`)
+	}
+	
+	/**
+	 * Short description of a token for history labels
+	 * @param {Object} token - Token with text
+	 * @param {string} mode - Recording mode of the token
+	 * @returns {string} E.g. word "hello"
+	 */
+	const describeToken = (token, mode) => {
+		const text = token.text || ''
+		const shortText = text.length > 30 ? `${text.slice(0, 30)}…` : text
+		return `${mode.slice(0, -1)} "${shortText}"`
+	}
+	
+	/**
+	 * Find the object of a token inside karaoke data
+	 * @param {Object} data - Karaoke data
+	 * @param {Object} token - Token from getTokensByModeType or a problem reference with its indices
+	 * @returns {Object|undefined} Block, line, word, syllable or char object
+	 */
+	const findTokenData = (data, token) => {
+		const block = data?.blocks[token.blockIndex ?? token.index]
+		const line = block?.lines[token.lineIndex]
+		const word = line?.words?.[token.wordIndex]
+		return {
+			block,
+			line,
+			word,
+			syllable: word?.syllables?.[token.syllableIndex],
+			char: word?.chars?.[token.charIndex]
+		}[token.type]
+	}
+	
+	/**
+	 * Change fields of a single token, edited on the timeline or in the inspector
+	 * Parent tokens are extended to contain new timing
+	 * @param {Object} token - Token from getTokensByModeType with its indices
+	 * @param {Object} changes - Fields to set (start, end, voice, position)
+	 * @param {string} label - History label
+	 * @param {string} mergeKey - Merge rapid repeated edits into one history entry
+	 */
+	const updateToken = (token, changes, label, mergeKey = null) => {
+		if (!karaokeData || retimeOriginal) return
+		
+		const updatedData = { ...karaokeData }
+		const target = findTokenData(updatedData, token)
+		if (!target) return
+		
+		recordHistory(label, mergeKey)
+		Object.assign(target, changes)
+		
+		if ('start' in changes || 'end' in changes) {
+			switch (token.type) {
+				case 'line':
+					updateBlockTimingFromLines(updatedData)
+					break
+				case 'word':
+					updateParentTimingFromWords(updatedData)
+					break
+				case 'syllable':
+					updateParentTimingFromSyllables(updatedData)
+					break
+				case 'char':
+					updateParentTimingFromChars(updatedData)
+					break
+			}
+		}
+		
+		setKaraokeData(updatedData)
+		autosaveRequestedRef.current = true
+		console.log(`✏️ Changed ${token.type} ${token.index}:`, changes)
+	}
+	
+	/**
+	 * Set the timing of a single token edited on the waveform timeline
+	 * @param {Object} token - Token from getTokensByModeType with its indices
+	 * @param {Object} timing - New start and end in ms
+	 */
+	const updateTokenTiming = (token, timing) => {
+		updateToken(token, timing, `Adjust ${describeToken(token, `${token.type}s`)}`)
+	}
+	
+	/**
+	 * Move the start or end of the active token by a few milliseconds
+	 * Rapid nudges of the same edge are merged into one history entry
+	 * @param {string} edge - 'start' or 'end'
+	 * @param {number} delta - Offset in ms
+	 */
+	const nudgeActiveToken = (edge, delta) => {
+		const token = getTokensByMode()[activeTokenIndex]
+		const target = token && findTokenData(karaokeData, token)
+		if (!target || typeof target.start !== 'number' || typeof target.end !== 'number') return
+		
+		const value = edge === 'start'
+			? Math.min(Math.max(0, target.start + delta), target.end)
+			: Math.max(target.end + delta, target.start)
+		if (value === target[edge]) return
+		
+		updateToken(token, {[edge]: value}, `Nudge ${describeToken(token, recordingMode)} ${edge}`,
+			`nudge-${recordingMode}-${activeTokenIndex}-${edge}`)
+	}
+	
+	/**
+	 * Collect the active token with its parent and child timings for the inspector
+	 * @returns {Object} token, tokenData, parents and childTokens
+	 */
+	const getInspectedToken = () => {
+		const token = getTokensByMode()[activeTokenIndex]
+		const tokenData = token ? findTokenData(karaokeData, token) : null
+		if (!tokenData) return {token, tokenData: null, parents: [], childTokens: []}
+		
+		const block = karaokeData.blocks[token.blockIndex ?? token.index]
+		const line = block.lines[token.lineIndex]
+		const word = line?.words?.[token.wordIndex]
+		const parents = [
+			{type: 'block', token: block},
+			{type: 'line', token: line},
+			{type: 'word', token: word}
+		].filter(parent => parent.token && parent.token !== tokenData)
+			.map(parent => ({...parent.token, type: parent.type}))
+		
+		// Syllables contain the chars they cover
+		const syllableRange = token.type === 'syllable' ? getSyllableCharRanges(word)[token.syllableIndex] : null
+		const childTokens = {
+			block: block.lines,
+			line: line?.words,
+			word: word?.chars,
+			syllable: syllableRange && word.chars.slice(syllableRange.first, syllableRange.last + 1)
+		}[token.type] || []
+		
+		return {
+			token,
+			tokenData,
+			parents,
+			childTokens: childTokens.map(child => ({...child, text: child.text || ''}))
+		}
+	}
+	
+	/**
+	 * Select the token of a timing problem and seek to it
+	 * @param {Object} ref - Problem token reference
+	 */
+	const jumpToProblem = (ref) => {
+		const mode = `${ref.type}s`
+		const target = findTokenData(karaokeData, ref)
+		if (!target || isRecording) return
+		
+		if (unlockedModes.includes(mode)) {
+			const index = getTokensByModeType(mode).findIndex(token => findTokenData(karaokeData, token) === target)
+			if (index !== -1) selectTimelineToken(mode, index)
+		}
+		if (typeof target.start === 'number' && (target.start !== 0 || target.end !== 0)) {
+			seekTo(target.start / 1000)
+		}
+	}
+	
+	/**
+	 * Apply the fix of a single timing problem
+	 * @param {Object} problem - Problem from checkTimingConsistency
+	 */
+	const fixTimingProblem = (problem) => {
+		if (!karaokeData || retimeOriginal || !problem.fix) return
+		
+		recordHistory(`Fix ${describeToken(problem.fix.ref, `${problem.fix.ref.type}s`)}: ${problem.fix.label}`)
+		setKaraokeData(applyTimingFix(karaokeData, problem.fix))
+		autosaveRequestedRef.current = true
+		console.log(`🔧 Fixed ${problem.kind} at ${problem.path}`)
+	}
+	
+	/**
+	 * Apply all available timing fixes
+	 */
+	const fixAllTimingProblems = () => {
+		if (!karaokeData || retimeOriginal) return
+		
+		const result = applyAllTimingFixes(karaokeData)
+		if (result.applied === 0) return
+		
+		recordHistory(`Fix ${result.applied} timing problem(s)`)
+		setKaraokeData(result.data)
+		autosaveRequestedRef.current = true
+		console.log(`🔧 Applied ${result.applied} timing fix(es)`)
+	}
+	
+	/**
+	 * Move the recorded children of a word along with its new range
+	 * Children keep their relative position inside the word and are clamped to it
+	 * @param {Array} children - Child tokens of the word
+	 * @param {Object} oldRange - Previous start and end of the word
+	 * @param {Object} word - Word with its new start and end
+	 */
+	const moveChildTimings = (children, oldRange, word) => {
+		const oldDuration = oldRange.end - oldRange.start
+		const scale = oldDuration > 0 ? (word.end - word.start) / oldDuration : 0
+		children.forEach(child => {
+			if (child.start === 0 && child.end === 0) return // Untimed children stay untimed
+			if (scale > 0) {
+				child.start = Math.round(word.start + (child.start - oldRange.start) * scale)
+				child.end = Math.round(word.start + (child.end - oldRange.start) * scale)
+			}
+			child.start = Math.min(Math.max(child.start, word.start), word.end)
+			child.end = Math.min(Math.max(child.end, child.start), word.end)
+		})
+	}
+	
+	/**
+	 * Write accepted onset proposals into the word timing of their lines
+	 * @param {Array} entries - Lines with blockIndex, lineIndex and word timings
+	 */
+	const applyWordTimings = (entries) => {
+		if (!karaokeData || entries.length === 0) return
+		
+		const firstLine = karaokeData.blocks[entries[0].blockIndex].lines[entries[0].lineIndex]
+		recordHistory(entries.length === 1
+			? `Auto-time words in ${describeToken({text: getLineText(firstLine)}, 'lines')}`
+			: `Auto-time words in ${entries.length} lines`)
+		
+		const updatedData = { ...karaokeData }
+		entries.forEach(({blockIndex, lineIndex, timings}) => {
+			const line = updatedData.blocks[blockIndex].lines[lineIndex]
+			timings.forEach(({wordIndex, start, end}) => {
+				const word = line.words[wordIndex]
+				const oldRange = {start: word.start, end: word.end}
+				word.start = start
+				word.end = end
+				word.voice = word.voice || line.voice
+				if (word.syllables) moveChildTimings(word.syllables, oldRange, word)
+				if (word.chars) moveChildTimings(word.chars, oldRange, word)
+			})
+		})
+		updateParentTimingFromWords(updatedData)
+		
+		setKaraokeData(updatedData)
+		autosaveRequestedRef.current = true
+		console.log(`🎯 Applied onset word timing to ${entries.length} line(s)`)
+	}
+	
+	/**
+	 * Detect vocal gaps and suggest start/end times for all blocks
+	 */
+	const suggestBlocks = () => {
+		if (!audioBuffer || !karaokeData) return
+		setDetectingBlocks(true)
+		
+		detectVocalGaps(audioBuffer)
+			.then(gaps => {
+				const suggestions = suggestBlockBoundaries(karaokeData.blocks, gaps, Math.round(audioBuffer.duration * 1000))
+				console.log(`🔇 Found ${gaps.length} vocal gaps, suggested ${suggestions.length} block boundaries`)
+				setBlockSuggestions(suggestions)
+			})
+			.catch(error => {
+				console.error('Error detecting vocal gaps:', error)
+				alert('Could not analyze the audio for vocal gaps.')
+			})
+			.finally(() => setDetectingBlocks(false))
+	}
+	
+	/**
+	 * Write suggested block timings into the karaoke data
+	 * @param {Array} suggestions - Suggestions with blockIndex, start and end
+	 */
+	const acceptBlockSuggestions = (suggestions) => {
+		if (!karaokeData || suggestions.length === 0 || isRecording || retimeOriginal) return
+		
+		recordHistory(suggestions.length === 1
+			? `Accept suggested block ${suggestions[0].blockIndex + 1} timing`
+			: `Accept ${suggestions.length} suggested block timings`)
+		
+		const updatedData = { ...karaokeData }
+		suggestions.forEach(({blockIndex, start, end}) => {
+			const block = updatedData.blocks[blockIndex]
+			block.start = start
+			block.end = end
+			block.voice = block.voice || currentVoice
+		})
+		
+		setKaraokeData(updatedData)
+		autosaveRequestedRef.current = true
+		const acceptedIndexes = suggestions.map(suggestion => suggestion.blockIndex)
+		setBlockSuggestions(blockSuggestions.filter(suggestion => !acceptedIndexes.includes(suggestion.blockIndex)))
+		console.log(`📦 Accepted ${suggestions.length} suggested block timing(s)`)
+	}
+	
+	/**
+	 * Show the song retimed with the given options
+	 * Repeated previews start again from the original timing
+	 * @param {Object} options - Retime options {mode, offset, anchors} in ms
+	 */
+	const previewRetime = (options) => {
+		if (!karaokeData) return
+		
+		let mapTime
+		try {
+			mapTime = createRetimeMapping(options)
+		} catch (error) {
+			alert(error.message)
+			return
+		}
+		
+		const original = retimeOriginal || captureSnapshot()
+		setRetimeOriginal(original)
+		setKaraokeData({...retimeKaraokeData(original.karaokeData, mapTime), voices})
+		console.log('⏱ Previewing retime:', options)
+	}
+	
+	/**
+	 * Keep the previewed retime as one undo step
+	 */
+	const applyRetime = () => {
+		if (!retimeOriginal) return
+		
+		const original = retimeOriginal
+		setEditHistory(history => pushHistoryEntry(history, 'Retime song', original))
+		setRetimeOriginal(null)
+		autosaveRequestedRef.current = true
+		// Trigger the autosave effect for the already shown data
+		setKaraokeData({ ...karaokeData })
+		console.log('⏱ Applied retime')
+	}
+	
+	/**
+	 * Discard the previewed retime
+	 */
+	const cancelRetime = () => {
+		if (!retimeOriginal) return
+		
+		setKaraokeData({...retimeOriginal.karaokeData, voices})
+		setRetimeOriginal(null)
+		console.log('⏱ Cancelled retime preview')
+	}
+	
+	/**
+	 * Seek from the waveform timeline
+	 * @param {number} time - Target time in seconds
+	 */
+	const seekTo = (time) => {
+		const audio = audioRef.current
+		if (!audio || wKeyPressedRef.current) return
+		
+		audio.currentTime = time
+		setCurrentTime(time)
+	}
+	
+	/**
+	 * Select a token clicked on the waveform timeline
+	 * Switches the recording mode if the token's lane is unlocked
+	 * @param {string} mode - Lane of the token
+	 * @param {number} index - Token index within the mode
+	 */
+	const selectTimelineToken = (mode, index) => {
+		if (isRecording || !unlockedModes.includes(mode)) return
+		
+		if (mode !== recordingMode) {
+			recordHistory(`Switch to ${mode} mode`)
+			previousModeRef.current = mode // Keep the clicked token instead of the related one
+			setRecordingMode(mode)
+		}
+		setActiveTokenIndex(index)
+	}
+	
 	const recordTimestamp = (timestamp, type) => {
-		if (!karaokeData || !audioRef.current) return
+		if (!karaokeData || !audioRef.current || retimeOriginal) return
 		
 		const currentTime = Math.round(timestamp * 1000) // Convert to milliseconds
 		
@@ -742,6 +1330,11 @@ function TimingSyncPage() {
 		
 		console.log(`🎯 Recording ${type} for token at index ${activeTokenIndex}: "${currentToken.text}"`)
 		
+		// One undo step per token, the end timestamp belongs to the same press
+		if (type === 'start') {
+			recordHistory(`Record ${describeToken(currentToken, recordingMode)}`)
+		}
+		
 		// Update the karaoke data structure based on current recording mode
 		const updatedData = { ...karaokeData }
 		
@@ -783,6 +1376,23 @@ function TimingSyncPage() {
 					updateParentTimingFromWords(updatedData)
 				}
 				break
+			case 'syllables':
+				const allSyllables = updatedData.blocks.flatMap(block => 
+					block.lines.flatMap(line => 
+						line.words ? line.words.flatMap(word => word.syllables || []) : []
+					)
+				)
+				if (activeTokenIndex < allSyllables.length) {
+					allSyllables[activeTokenIndex][type] = currentTime
+					// Assign current voice when recording starts
+					if (type === 'start') {
+						allSyllables[activeTokenIndex].voice = currentVoice
+					}
+					
+					// Update parent word, line and block timing based on child syllables
+					updateParentTimingFromSyllables(updatedData)
+				}
+				break
 			case 'chars':
 				const allChars = updatedData.blocks.flatMap(block => 
 					block.lines.flatMap(line => 
@@ -803,6 +1413,7 @@ function TimingSyncPage() {
 		}
 		
 		setKaraokeData(updatedData)
+		autosaveRequestedRef.current = true
 		console.log(`Recorded ${type} timestamp:`, currentTime, 'ms for token', activeTokenIndex, 'in mode', recordingMode)
 		
 		// Update unlocked modes after recording
@@ -812,6 +1423,24 @@ function TimingSyncPage() {
 	// Handle W key DOWN/UP events for timing synchronization
 	useEffect(() => {
 		const handleKeyDown = (event) => {
+			// Undo/redo, text inputs keep their own undo
+			if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z' &&
+				!['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) {
+				event.preventDefault()
+				handleHistoryTravel(event.shiftKey ? 1 : -1)
+				return
+			}
+			
+			// Nudge the active token: [ ] move the start, , . move the end (Shift for larger steps)
+			const nudgeKeys = {BracketLeft: ['start', -1], BracketRight: ['start', 1], Comma: ['end', -1], Period: ['end', 1]}
+			if (nudgeKeys[event.code] && !event.ctrlKey && !event.metaKey && !event.altKey && !isRecording &&
+				!['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) {
+				event.preventDefault()
+				const [edge, direction] = nudgeKeys[event.code]
+				nudgeActiveToken(edge, direction * (event.shiftKey ? 50 : 10))
+				return
+			}
+			
 			if (event.key.toLowerCase() === 'w' && !event.repeat && !wKeyPressedRef.current) {
 				wKeyPressedRef.current = true
 				setWKeyPressed(true)
@@ -891,6 +1520,7 @@ function TimingSyncPage() {
 						if (nextMode) {
 							const proceed = confirm(`Finished ${recordingMode} mode. Proceed to ${nextMode} mode for fine-tuning?`)
 							if (proceed) {
+								recordHistory(`Switch to ${nextMode} mode`)
 								setRecordingMode(nextMode)
 								// Find first non-space token for the new mode
 								const nextModeTokens = getTokensByModeType(nextMode)
@@ -916,7 +1546,7 @@ function TimingSyncPage() {
 			window.removeEventListener('keydown', handleKeyDown, true)
 			window.removeEventListener('keyup', handleKeyUp, true)
 		}
-	}, [activeTokenIndex, recordingMode, karaokeData, isRecording, wKeyPressed, audioRef])
+	}, [activeTokenIndex, recordingMode, karaokeData, voices, editHistory, isRecording, wKeyPressed, audioRef])
 	
 	/**
 	 * Find the related token when switching modes
@@ -937,13 +1567,21 @@ function TimingSyncPage() {
 		
 		const currentToken = fromTokens[currentIndex]
 		
-		// Define mode hierarchy: blocks > lines > words > chars
-		const modeHierarchy = ['blocks', 'lines', 'words', 'chars']
+		// Define mode hierarchy: blocks > lines > words > syllables > chars
+		const modeHierarchy = ['blocks', 'lines', 'words', 'syllables', 'chars']
 		const fromLevel = modeHierarchy.indexOf(fromMode)
 		const toLevel = modeHierarchy.indexOf(toMode)
 		
 		if (fromLevel === -1 || toLevel === -1) return 0
 		
+		// Check if a char token lies within a syllable token of the same word
+		const isCharOfSyllable = (charToken, syllableToken) => {
+			if (charToken.lineIndex !== syllableToken.lineIndex || charToken.wordIndex !== syllableToken.wordIndex) return false
+			const word = karaokeData.blocks[syllableToken.blockIndex].lines[syllableToken.lineIndex].words[syllableToken.wordIndex]
+			const range = getSyllableCharRanges(word)[syllableToken.syllableIndex]
+			return Boolean(range) && charToken.charIndex >= range.first && charToken.charIndex <= range.last
+		}
+		
 		if (toLevel < fromLevel) {
 			// Going up (e.g., words -> lines): find parent
 			for (let i = 0; i < toTokens.length; i++) {
@@ -952,7 +1590,8 @@ function TimingSyncPage() {
 				if (toToken.blockIndex === currentToken.blockIndex &&
 					(toMode === 'blocks' || 
 					 (toMode === 'lines' && toToken.lineIndex === currentToken.lineIndex) ||
-					 (toMode === 'words' && toToken.lineIndex === currentToken.lineIndex && toToken.wordIndex === currentToken.wordIndex))) {
+					 (toMode === 'words' && toToken.lineIndex === currentToken.lineIndex && toToken.wordIndex === currentToken.wordIndex) ||
+					 (toMode === 'syllables' && isCharOfSyllable(currentToken, toToken)))) {
 					return i
 				}
 			}
@@ -964,7 +1603,8 @@ function TimingSyncPage() {
 				if (toToken.blockIndex === currentToken.blockIndex &&
 					(fromMode === 'blocks' || 
 					 (fromMode === 'lines' && toToken.lineIndex === currentToken.lineIndex) ||
-					 (fromMode === 'words' && toToken.lineIndex === currentToken.lineIndex && toToken.wordIndex === currentToken.wordIndex))) {
+					 (fromMode === 'words' && toToken.lineIndex === currentToken.lineIndex && toToken.wordIndex === currentToken.wordIndex) ||
+					 (fromMode === 'syllables' && isCharOfSyllable(toToken, currentToken)))) {
 					return i
 				}
 			}
@@ -1007,7 +1647,7 @@ function TimingSyncPage() {
 				let wordIndex = 0
 				karaokeData.blocks.forEach((block, blockIndex) => {
 					block.lines.forEach((line, lineIndex) => {
-						line.words.forEach((word, localWordIndex) => {
+						(line.words || []).forEach((word, localWordIndex) => {
 							wordTokens.push({
 								...word,
 								type: 'word',
@@ -1020,13 +1660,34 @@ function TimingSyncPage() {
 					})
 				})
 				return wordTokens
+			case 'syllables':
+				const syllableTokens = []
+				let syllableIndex = 0
+				karaokeData.blocks.forEach((block, blockIndex) => {
+					block.lines.forEach((line, lineIndex) => {
+						(line.words || []).forEach((word, wordIndex) => {
+							(word.syllables || []).forEach((syllable, localSyllableIndex) => {
+								syllableTokens.push({
+									...syllable,
+									type: 'syllable',
+									index: syllableIndex++,
+									blockIndex,
+									lineIndex,
+									wordIndex,
+									syllableIndex: localSyllableIndex
+								})
+							})
+						})
+					})
+				})
+				return syllableTokens
 			case 'chars':
 				const charTokens = []
 				let charIndex = 0
 				karaokeData.blocks.forEach((block, blockIndex) => {
 					block.lines.forEach((line, lineIndex) => {
-						line.words.forEach((word, wordIndex) => {
-							word.chars.forEach((char, localCharIndex) => {
+						(line.words || []).forEach((word, wordIndex) => {
+							(word.chars || []).forEach((char, localCharIndex) => {
 								charTokens.push({
 									...char,
 									type: 'char',
@@ -1072,6 +1733,95 @@ function TimingSyncPage() {
 		}
 	}, [karaokeData])
 	
+	/**
+	 * Build the stored project record from the current state
+	 * @param {string} id - Project id
+	 * @param {Object} data - Karaoke data to store
+	 * @returns {Object} Project record
+	 */
+	const buildProjectRecord = (id, data) => ({
+		id,
+		name: data?.title || audioFile?.name.replace(/\.[^.]+$/, '') || data?.audioFile || 'Untitled project',
+		karaokeData: data,
+		voices,
+		recordingMode,
+		activeTokenIndex,
+		audioFileName: audioFile?.name || data?.audioFile || ''
+	})
+	
+	// Resume a stored project, or store the newly opened one
+	useEffect(() => {
+		if (projectInitializedRef.current) return
+		projectInitializedRef.current = true
+		
+		if (initialState.projectId) {
+			loadProject(initialState.projectId)
+				.then(project => {
+					if (!project) {
+						console.log('❌ Project not found:', initialState.projectId)
+						setProjectStatus('error')
+						return
+					}
+					
+					restoreSnapshot({...project, karaokeData: addMissingSyllables(project.karaokeData)})
+					setUltraStarBpm(project.karaokeData?.bpm || 300)
+					if (project.audioFile) {
+						setAudioFile(project.audioFile)
+					}
+					setProjectStatus('saved')
+					console.log('📂 Resumed project:', project.name)
+				})
+				.catch(error => {
+					console.error('Error loading project:', error)
+					setProjectStatus('error')
+				})
+			return
+		}
+		
+		if (!initialKaraokeData) return
+		
+		// Audio arrives as File from the create flow or as object URL from the playback screen
+		const newProjectId = createProjectId()
+		const audioBlobPromise = audioFile
+			? Promise.resolve(audioFile)
+			: initialAudioUrl
+				? fetch(initialAudioUrl).then(response => response.blob())
+				: Promise.resolve(null)
+		
+		audioBlobPromise
+			.then(audioBlob => audioBlob && saveProjectAudio(newProjectId, audioBlob, audioFile?.name || initialKaraokeData.audioFile))
+			.then(() => saveProject(buildProjectRecord(newProjectId, initialKaraokeData)))
+			.then(() => {
+				setProjectId(newProjectId)
+				setProjectStatus('saved')
+				// A refresh now reloads the project instead of the navigation state
+				navigate(location.pathname, {replace: true, state: {projectId: newProjectId}})
+				console.log('💾 Created project:', newProjectId)
+			})
+			.catch(error => {
+				console.error('Error creating project:', error)
+				setProjectStatus('error')
+			})
+	}, [])
+	
+	// Voice and recording mode edits are stored with the project as well
+	useEffect(() => {
+		autosaveRequestedRef.current = true
+	}, [voices, recordingMode])
+	
+	// Autosave after every recorded timestamp
+	useEffect(() => {
+		if (!autosaveRequestedRef.current || !projectId || !karaokeData) return
+		autosaveRequestedRef.current = false
+		
+		saveProject(buildProjectRecord(projectId, karaokeData))
+			.then(() => setProjectStatus('saved'))
+			.catch(error => {
+				console.error('Error saving project:', error)
+				setProjectStatus('error')
+			})
+	}, [karaokeData, activeTokenIndex, projectId, voices, recordingMode])
+	
 	// Reset W key state if it gets stuck (fallback mechanism)
 	useEffect(() => {
 		const resetWKeyState = () => {
@@ -1106,6 +1856,7 @@ function TimingSyncPage() {
 	// Voice management functions
 	const addVoice = () => {
 		const newId = Math.max(...voices.map(v => v.id), 0) + 1
+		recordHistory(`Add voice ${newId}`)
 		setVoices([
 			...voices, {
 				id: newId,
@@ -1118,13 +1869,17 @@ function TimingSyncPage() {
 	
 	const removeVoice = (id) => {
 		if (voices.length <= 1) return // Keep at least one voice
-		setVoices(voices.filter(v => v.id !== id))
+		recordHistory(`Remove voice ${voices.find(v => v.id === id)?.name || id}`)
+		setVoices(voices
+			.filter(v => v.id !== id)
+			.map(v => v.members ? {...v, members: v.members.filter(member => member !== id)} : v))
 		if (currentVoice === id) {
 			setCurrentVoice(voices.find(v => v.id !== id)?.id || 1)
 		}
 	}
 	
 	const updateVoice = (id, field, value) => {
+		recordHistory(`Edit voice ${id} ${field.replace('_', ' ')}`, `voice-${id}-${field}`)
 		setVoices(voices.map(v =>
 			v.id === id ? {...v, [field]: value} : v
 		))
@@ -1187,7 +1942,7 @@ function TimingSyncPage() {
 							})
 						} else {
 							// Fallback: split line text into words and spaces
-							const tokens = line.text.split(/( )/g) // Splits into words and spaces
+							const tokens = splitWords(line.text, karaokeData.language) // Splits into words and spaces
 							tokens.forEach((token, tokenIndex) => {
 								if (token.length > 0) { // Skip empty strings
 									words.push({
@@ -1209,6 +1964,45 @@ function TimingSyncPage() {
 				})
 				return words
 			
+			case 'syllables':
+				const syllables = []
+				karaokeData.blocks.forEach((block, blockIndex) => {
+					block.lines.forEach((line, lineIndex) => {
+						(line.words || []).forEach((word, wordIndex) => {
+							if (word.syllables && Array.isArray(word.syllables)) {
+								word.syllables.forEach((syllable, syllableIndex) => {
+									syllables.push({
+										type: 'syllable',
+										index: syllables.length,
+										text: syllable.text,
+										voice: syllable.voice || word.voice || line.voice,
+										blockIndex,
+										lineIndex,
+										wordIndex,
+										syllableIndex,
+										start: syllable.start,
+										end: syllable.end
+									})
+								})
+							} else {
+								// Fallback: the whole word as one syllable
+								syllables.push({
+									type: 'syllable',
+									index: syllables.length,
+									text: word.text,
+									voice: word.voice || line.voice,
+									blockIndex,
+									lineIndex,
+									wordIndex,
+									start: undefined, // No timing data available
+									end: undefined
+								})
+							}
+						})
+					})
+				})
+				return syllables
+			
 			case 'chars':
 				const chars = []
 				karaokeData.blocks.forEach((block, blockIndex) => {
@@ -1233,7 +2027,7 @@ function TimingSyncPage() {
 									})
 								} else {
 									// Fallback: split word into characters
-									word.text.split('').forEach((char, charIndex) => {
+									splitChars(word.text, karaokeData.language).forEach((char, charIndex) => {
 										chars.push({
 											type: 'char',
 											index: chars.length,
@@ -1251,7 +2045,7 @@ function TimingSyncPage() {
 							})
 						} else {
 							// Fallback: split line text into characters
-							line.text.split('').forEach((char, charIndex) => {
+							splitChars(line.text, karaokeData.language).forEach((char, charIndex) => {
 								chars.push({
 									type: 'char',
 									index: chars.length,
@@ -1332,6 +2126,7 @@ function TimingSyncPage() {
 					displayIndex: tokens.indexOf(token)
 				}))
 			
+			case 'syllables':
 			case 'chars':
 				// Show only current line (filter out spaces)
 				const activeCharToken = tokens[activeIndex]
@@ -1359,8 +2154,8 @@ function TimingSyncPage() {
 		const displayTokens = getDisplayTokens()
 		if (displayTokens.length === 0) return "No lyrics loaded"
 		
-		// For words and chars modes, group tokens by line
-		if (recordingMode === 'words' || recordingMode === 'chars') {
+		// For words, syllables and chars modes, group tokens by line
+		if (recordingMode === 'words' || recordingMode === 'syllables' || recordingMode === 'chars') {
 			// Group tokens by line
 			const lineGroups = {}
 			displayTokens.forEach(token => {
@@ -1390,15 +2185,18 @@ function TimingSyncPage() {
 								flexWrap: 'wrap',
 								justifyContent: 'center',
 								alignItems: 'center',
-								gap: recordingMode === 'chars' ? '1px' : '4px',
+								gap: {chars: '1px', syllables: '2px'}[recordingMode] || '4px',
 								fontSize: hasActiveToken ? '2.2rem' : '1.8rem',
 								opacity: hasActiveToken ? 1 : 0.7,
 								transform: hasActiveToken ? 'scale(1.02)' : 'scale(1)',
 								transition: 'all 0.3s ease'
 							}}>
-								{lineTokens.map(token => {
+								{lineTokens.map((token, tokenIndex) => {
 									const voice = voices.find(v => v.id === token.voice) || voices[0]
 									const isRecordingThisToken = isRecording && token.isActive
+									// Spaces are hidden, so syllables of the next word get extra room
+									const startsWord = recordingMode === 'syllables' && tokenIndex > 0 &&
+										lineTokens[tokenIndex - 1].wordIndex !== token.wordIndex
 									
 									return (
 										<span
@@ -1411,7 +2209,8 @@ function TimingSyncPage() {
 												backgroundColor: token.isActive ? 'rgba(255,255,255,0.2)' : 'transparent',
 												borderRadius: token.isActive ? '4px' : '0',
 												transition: 'all 0.3s ease',
-												display: 'inline-block'
+												display: 'inline-block',
+												marginLeft: startsWord ? '0.4em' : 0
 											}}
 										>
 											{token.text === ' ' ? '\u00A0' : token.text}
@@ -1537,45 +2336,69 @@ function TimingSyncPage() {
 				height: 'calc(100vh - 128px)', // 48px header + 80px footer
 				boxSizing: 'border-box' // Include padding in height calculation
 			}}>
-				{/* Left - Lyrics Preview (16:9 aspect ratio) */}
+				{/* Left - Lyrics Preview (16:9 aspect ratio) and waveform timeline */}
 				<div style={{
 					flex: 1,
 					padding: '1rem',
 					display: 'flex',
-					justifyContent: 'center',
-					alignItems: 'center',
+					flexDirection: 'column',
+					gap: '1rem',
 					minWidth: 0 // Important for flex children to shrink
 				}}>
 					<div style={{
-						background: '#000',
-						borderRadius: '12px',
-						aspectRatio: '16 / 9',
-						width: '100%',
-						maxHeight: '100%',
-						position: 'relative',
-						overflow: 'hidden',
+						flex: 1,
+						minHeight: 0,
 						display: 'flex',
-						alignItems: 'center',
 						justifyContent: 'center',
-						color: 'white',
-						fontSize: '1.5rem',
-						fontWeight: 'bold',
-						textAlign: 'center',
-						padding: '2rem'
+						alignItems: 'center'
 					}}>
-						{renderPreview()}
-						
-						{/* Mode indicator */}
 						<div style={{
-							position: 'absolute',
-							bottom: '20px',
-							right: '20px',
-							fontSize: '0.8rem',
-							opacity: 0.7
+							background: '#000',
+							borderRadius: '12px',
+							aspectRatio: '16 / 9',
+							width: '100%',
+							maxHeight: '100%',
+							position: 'relative',
+							overflow: 'hidden',
+							display: 'flex',
+							alignItems: 'center',
+							justifyContent: 'center',
+							color: 'white',
+							fontSize: '1.5rem',
+							fontWeight: 'bold',
+							textAlign: 'center',
+							padding: '2rem'
 						}}>
-							{recordingMode} mode
+							{renderPreview()}
+							
+							{/* Mode indicator */}
+							<div style={{
+								position: 'absolute',
+								bottom: '20px',
+								right: '20px',
+								fontSize: '0.8rem',
+								opacity: 0.7
+							}}>
+								{recordingMode} mode
+							</div>
 						</div>
 					</div>
+					
+					<WaveformTimeline
+						audioBuffer={audioBuffer}
+						lanes={['blocks', 'lines', 'words', 'syllables', 'chars'].map(mode => ({mode, tokens: getTokensByModeType(mode)}))}
+						voices={voices}
+						currentTime={currentTime}
+						duration={duration}
+						activeMode={recordingMode}
+						activeTokenIndex={activeTokenIndex}
+						disabled={isRecording || Boolean(retimeOriginal)}
+						onSeek={seekTo}
+						onTokenSelect={selectTimelineToken}
+						onTokenTimingChange={updateTokenTiming}
+						suggestions={blockSuggestions.map(suggestion => ({...suggestion, mode: 'blocks', index: suggestion.blockIndex}))}
+						onSuggestionAccept={(suggestion) => acceptBlockSuggestions([suggestion])}
+					/>
 				</div>
 				
 				{/* Right - Settings Panel (scrollable) */}
@@ -1620,7 +2443,7 @@ function TimingSyncPage() {
 					</div>
 					
 					{/* Audio File Info */}
-					{audioFile && (
+					{(audioFile || projectStatus) && (
 						<div style={{
 							marginBottom: '2rem',
 							padding: '1rem',
@@ -1628,9 +2451,22 @@ function TimingSyncPage() {
 							borderRadius: '8px'
 						}}>
 							<h4 style={{marginBottom: '0.5rem', color: '#333'}}>Audio File</h4>
-							<p style={{color: '#666', fontSize: '0.9rem', margin: 0}}>
-								{audioFile.name}
-							</p>
+							{audioFile && (
+								<p style={{color: '#666', fontSize: '0.9rem', margin: 0}}>
+									{audioFile.name}
+								</p>
+							)}
+							{projectStatus && (
+								<p style={{
+									color: projectStatus === 'error' ? '#dc3545' : projectStatus === 'loading' ? '#666' : '#28a745',
+									fontSize: '0.8rem',
+									margin: '0.5rem 0 0 0'
+								}}>
+									{projectStatus === 'loading' && '⏳ Loading project...'}
+									{projectStatus === 'saved' && '💾 Project autosaved'}
+									{projectStatus === 'error' && '⚠️ Project could not be saved or loaded'}
+								</p>
+							)}
 						</div>
 					)}
 					
@@ -1675,6 +2511,7 @@ function TimingSyncPage() {
 								{value: 'blocks', label: 'Blocks'},
 								{value: 'lines', label: 'Lines'},
 								{value: 'words', label: 'Words'},
+								{value: 'syllables', label: 'Syllables'},
 								{value: 'chars', label: 'Chars'}
 							].map(mode => {
 								const isLocked = !unlockedModes.includes(mode.value)
@@ -1720,6 +2557,7 @@ function TimingSyncPage() {
 											onChange={(e) => {
 												if (!isLocked) {
 													const newMode = e.target.value
+													recordHistory(`Switch to ${newMode} mode`)
 													setRecordingMode(newMode)
 													// Find first non-space token for the new mode
 													const newModeTokens = getTokensByModeType(newMode)
@@ -1824,6 +2662,21 @@ function TimingSyncPage() {
 						</div>
 					</div>
 					
+					{/* Active token details */}
+					<div style={{marginBottom: '2rem'}}>
+						<h4 style={{marginBottom: '1rem', color: '#333'}}>Inspector</h4>
+						<TokenInspector
+							{...getInspectedToken()}
+							voices={voices}
+							disabled={isRecording || Boolean(retimeOriginal)}
+							onChange={(changes) => {
+								const token = getTokensByMode()[activeTokenIndex]
+								updateToken(token, changes, `Edit ${describeToken(token, recordingMode)} ${Object.keys(changes).join(', ')}`)
+							}}
+							onNudge={nudgeActiveToken}
+						/>
+					</div>
+					
 					{/* Voice Management - Foldable */}
 					<div style={{marginBottom: '2rem'}}>
 						<button
@@ -1953,6 +2806,41 @@ function TimingSyncPage() {
 										</select>
 									)}
 								</div>
+								
+								{/* Members - a voice sung by several other voices together */}
+								{voices.length > 2 && (
+									<div style={{
+										display: 'flex',
+										flexWrap: 'wrap',
+										gap: '6px 12px',
+										alignItems: 'center',
+										marginTop: '8px',
+										fontSize: '0.8rem',
+										color: '#555'
+									}}>
+										<span>Sung together by:</span>
+										{voices.filter(other => other.id !== voice.id).map(other => (
+											<label key={other.id} style={{display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer'}}>
+												<input
+													type="checkbox"
+													checked={(voice.members || []).includes(other.id)}
+													onChange={(e) => {
+														const members = (voice.members || []).filter(id => id !== other.id)
+														updateVoice(voice.id, 'members', e.target.checked ? [...members, other.id] : members)
+													}}
+												/>
+												<span style={{
+													width: '10px',
+													height: '10px',
+													borderRadius: '50%',
+													background: other.color,
+													border: '1px solid #ccc'
+												}}/>
+												<span>{other.name || `Voice ${other.id}`}</span>
+											</label>
+										))}
+									</div>
+								)}
 							</div>
 						))}
 						
@@ -2070,13 +2958,178 @@ function TimingSyncPage() {
 								fontFamily: 'monospace',
 								fontSize: '0.8rem'
 							}}>Space</kbd> to play/pause audio</div>
+							<div>• Press <kbd style={{
+								background: '#e9ecef',
+								padding: '2px 6px',
+								borderRadius: '3px',
+								fontFamily: 'monospace',
+								fontSize: '0.8rem'
+							}}>Ctrl+Z</kbd> <kbd style={{
+								background: '#e9ecef',
+								padding: '2px 6px',
+								borderRadius: '3px',
+								fontFamily: 'monospace',
+								fontSize: '0.8rem'
+							}}>Ctrl+Shift+Z</kbd> to undo/redo</div>
+							<div>• Press <kbd style={{
+								background: '#e9ecef',
+								padding: '2px 6px',
+								borderRadius: '3px',
+								fontFamily: 'monospace',
+								fontSize: '0.8rem'
+							}}>[</kbd> <kbd style={{
+								background: '#e9ecef',
+								padding: '2px 6px',
+								borderRadius: '3px',
+								fontFamily: 'monospace',
+								fontSize: '0.8rem'
+							}}>]</kbd> / <kbd style={{
+								background: '#e9ecef',
+								padding: '2px 6px',
+								borderRadius: '3px',
+								fontFamily: 'monospace',
+								fontSize: '0.8rem'
+							}}>,</kbd> <kbd style={{
+								background: '#e9ecef',
+								padding: '2px 6px',
+								borderRadius: '3px',
+								fontFamily: 'monospace',
+								fontSize: '0.8rem'
+							}}>.</kbd> to nudge start/end by 10ms (Shift: 50ms)</div>
 							<div>• Click progress bar to seek (when paused and W not pressed)</div>
 						</div>
 					</div>
 					
+					{/* Whole-song retiming */}
+					<div style={{marginBottom: '2rem'}}>
+						<h4 style={{marginBottom: '1rem', color: '#333'}}>Retime</h4>
+						<RetimePanel
+							currentTime={currentTime}
+							previewActive={Boolean(retimeOriginal)}
+							disabled={isRecording}
+							onPreview={previewRetime}
+							onApply={applyRetime}
+							onCancel={cancelRetime}
+						/>
+					</div>
+					
+					{/* Block boundary suggestions */}
+					<div style={{marginBottom: '2rem'}}>
+						<h4 style={{marginBottom: '1rem', color: '#333'}}>Block Boundaries</h4>
+						<button
+							onClick={suggestBlocks}
+							disabled={!audioBuffer || detectingBlocks}
+							style={{
+								width: '100%',
+								padding: '8px 12px',
+								borderRadius: '6px',
+								border: '2px solid #667eea',
+								background: 'white',
+								color: '#667eea',
+								cursor: audioBuffer && !detectingBlocks ? 'pointer' : 'not-allowed',
+								fontSize: '0.9rem',
+								marginBottom: '0.5rem'
+							}}
+						>
+							{detectingBlocks ? '⏳ Analyzing audio...' : !audioBuffer ? 'Decoding audio...' : '🔇 Suggest from vocal gaps'}
+						</button>
+						{blockSuggestions.length > 0 ? (
+							<div style={{display: 'flex', gap: '0.5rem', alignItems: 'center', fontSize: '0.8rem', color: '#666'}}>
+								<span style={{flex: 1}}>{blockSuggestions.length} suggestions on the timeline, click one to accept it</span>
+								<button
+									onClick={() => acceptBlockSuggestions(blockSuggestions)}
+									disabled={isRecording}
+									style={{
+										padding: '2px 8px',
+										borderRadius: '4px',
+										border: '1px solid #28a745',
+										background: 'white',
+										color: '#28a745',
+										cursor: 'pointer',
+										fontSize: '0.75rem'
+									}}
+								>
+									✓ All
+								</button>
+								<button
+									onClick={() => setBlockSuggestions([])}
+									style={{
+										padding: '2px 8px',
+										borderRadius: '4px',
+										border: '1px solid #dc3545',
+										background: 'white',
+										color: '#dc3545',
+										cursor: 'pointer',
+										fontSize: '0.75rem'
+									}}
+								>
+									✕
+								</button>
+							</div>
+						) : (
+							<p style={{fontSize: '0.8rem', color: '#666', margin: 0}}>
+								Proposes block start/end times from pauses in the vocals.
+							</p>
+						)}
+					</div>
+					
+					{/* Onset based word timing */}
+					<div style={{marginBottom: '2rem'}}>
+						<h4 style={{marginBottom: '1rem', color: '#333'}}>Auto-Time Words</h4>
+						<OnsetSuggestionsPanel
+							audioBuffer={audioBuffer}
+							karaokeData={karaokeData}
+							disabled={isRecording || Boolean(retimeOriginal)}
+							onPreview={seekTo}
+							onApply={applyWordTimings}
+						/>
+					</div>
+					
+					{/* Timing problems */}
+					<div style={{marginBottom: '2rem'}}>
+						<h4 style={{marginBottom: '1rem', color: '#333'}}>Problems</h4>
+						<ProblemsPanel
+							problems={timingProblems}
+							disabled={isRecording || Boolean(retimeOriginal)}
+							onJump={jumpToProblem}
+							onFix={fixTimingProblem}
+							onFixAll={fixAllTimingProblems}
+						/>
+					</div>
+					
+					{/* Edit History */}
+					<div style={{marginBottom: '2rem'}}>
+						<h4 style={{marginBottom: '1rem', color: '#333'}}>History</h4>
+						<HistoryPanel history={editHistory} onTravel={handleHistoryTravel}/>
+					</div>
+					
 					{/* Export Controls */}
 					<div style={{marginTop: '2rem', paddingTop: '2rem', borderTop: '1px solid #ddd'}}>
 						<h4 style={{marginBottom: '1rem', color: '#333'}}>Export</h4>
+						<label style={{display: 'block', fontSize: '0.85rem', color: '#333', marginBottom: '1rem'}}>
+							Fill untimed tokens
+							<select
+								value={distributionStrategy}
+								onChange={(e) => setDistributionStrategy(e.target.value)}
+								style={{
+									width: '100%',
+									marginTop: '0.25rem',
+									padding: '6px 8px',
+									borderRadius: '4px',
+									border: '1px solid #ddd',
+									fontSize: '0.85rem'
+								}}
+							>
+								{DISTRIBUTION_STRATEGIES.map(strategy => (
+									<option key={strategy.value} value={strategy.value}>{strategy.label}</option>
+								))}
+							</select>
+							{distributionStrategy === 'onsets' && !audioOnsets && (
+								<span style={{display: 'block', fontSize: '0.75rem', color: '#666', marginTop: '0.25rem'}}>
+									⏳ Detecting onsets, character count is used until they are ready
+								</span>
+							)}
+						</label>
 						<button
 							onClick={exportKaraokeData}
 							style={{
@@ -2096,6 +3149,66 @@ function TimingSyncPage() {
 						>
 							📥 Export Karaoke JSON
 						</button>
+						<div style={{display: 'flex', gap: '0.5rem', marginBottom: '1rem'}}>
+							{[
+								{label: 'LRC', enhanced: false},
+								{label: 'Enhanced LRC', enhanced: true}
+							].map(format => (
+								<button
+									key={format.label}
+									onClick={() => exportLrcFile(format.enhanced)}
+									style={{
+										flex: 1,
+										padding: '8px 12px',
+										borderRadius: '6px',
+										border: '2px solid #667eea',
+										background: 'white',
+										color: '#667eea',
+										cursor: 'pointer',
+										fontSize: '0.9rem'
+									}}
+								>
+									📥 {format.label}
+								</button>
+							))}
+						</div>
+						<div style={{display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '1rem'}}>
+							<label style={{fontSize: '0.8rem', color: '#666'}}>BPM</label>
+							<input
+								type="number"
+								min="1"
+								step="0.01"
+								value={ultraStarBpm}
+								onChange={(e) => setUltraStarBpm(e.target.value)}
+								style={{
+									width: '80px',
+									padding: '4px 8px',
+									borderRadius: '4px',
+									border: '1px solid #ddd',
+									fontSize: '0.9rem'
+								}}
+							/>
+							<button
+								onClick={exportUltraStarFile}
+								style={{
+									flex: 1,
+									padding: '8px 12px',
+									borderRadius: '6px',
+									border: '2px solid #667eea',
+									background: 'white',
+									color: '#667eea',
+									cursor: 'pointer',
+									fontSize: '0.9rem'
+								}}
+							>
+								📥 UltraStar TXT
+							</button>
+						</div>
+						<SubtitleExportPanel
+							getExportData={() => karaokeData ? {...cleanupTimingData(karaokeData), voices} : null}
+							baseFileName={audioFile?.name}
+							title={karaokeData?.title || audioFile?.name.replace(/\.[^.]+$/, '')}
+						/>
 						<div style={{
 							padding: '0.75rem',
 							background: '#f8f9fa',
@@ -2104,7 +3217,7 @@ function TimingSyncPage() {
 							color: '#666',
 							textAlign: 'center'
 						}}>
-							This will download your complete karaoke file with all timing data
+							This will download your complete karaoke file with all timing data. LRC files contain line timings, Enhanced LRC adds word timings, UltraStar notes are snapped to the BPM grid, ASS subtitles carry karaoke tags for video rendering, SRT and WebVTT contain line captions.
 						</div>
 					</div>
 					
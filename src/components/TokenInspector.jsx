@@ -0,0 +1,224 @@
+/**
+ * TokenInspector Component
+ *
+ * Detail view of the active token in the timing editor.
+ * Features:
+ * - Editable start and end time (mm:ss.mmm)
+ * - Voice and position of the token
+ * - Parent and child token timings
+ * - Nudge buttons (±10ms / ±50ms) for start and end
+ */
+
+import React from 'react'
+import {formatTimecode, parseTimecode} from '../utils/timecode'
+import {VOICE_POSITIONS} from '../utils/karaokeSchema'
+
+const NUDGE_STEPS = [-50, -10, 10, 50]
+
+/**
+ * Format a token timing range for display
+ * @param {Object} token - Token with start and end
+ * @returns {string} Range or a dash if untimed
+ */
+const formatRange = (token) => (typeof token.start === 'number' && typeof token.end === 'number')
+	? `${formatTimecode(token.start)} – ${formatTimecode(token.end)}`
+	: '—'
+
+/**
+ * @param {Object} props
+ * @param {Object} props.token - Active token from getTokensByMode
+ * @param {Object} props.tokenData - The token object inside the karaoke data, null if not addressable
+ * @param {Array} props.parents - Parent tokens {type, text, start, end}, outermost first
+ * @param {Array} props.childTokens - Child tokens {type, text, start, end}
+ * @param {Array} props.voices - Available voices
+ * @param {boolean} props.disabled - Disable editing (while recording or previewing)
+ * @param {Function} props.onChange - Called with changed fields {start, end, voice, position}
+ * @param {Function} props.onNudge - Called with edge ('start' or 'end') and delta in ms
+ */
+function TokenInspector({token, tokenData, parents, childTokens, voices, disabled, onChange, onNudge}) {
+	if (!token) {
+		return <p style={{fontSize: '0.85rem', color: '#666', margin: 0}}>No token selected</p>
+	}
+	if (!tokenData) {
+		return (
+			<p style={{fontSize: '0.85rem', color: '#666', margin: 0}}>
+				"{token.text}" has no timing data yet. Record the parent level first.
+			</p>
+		)
+	}
+
+	/**
+	 * Commit an edited time field
+	 * @param {string} edge - 'start' or 'end'
+	 * @param {HTMLInputElement} input - Time input
+	 */
+	const commitTime = (edge, input) => {
+		const value = parseTimecode(input.value)
+		if (value === tokenData[edge]) return
+
+		const start = edge === 'start' ? value : tokenData.start
+		const end = edge === 'end' ? value : tokenData.end
+		if (value === null) {
+			alert('Invalid time, please use mm:ss.mmm')
+		} else if (typeof start === 'number' && typeof end === 'number' && start > end) {
+			alert('Start time must not be after end time')
+		} else {
+			onChange({[edge]: value})
+			return
+		}
+		input.value = formatTimecode(tokenData[edge])
+	}
+
+	const labelStyle = {
+		fontSize: '0.75rem',
+		color: '#666',
+		marginBottom: '0.25rem'
+	}
+
+	const inputStyle = {
+		width: '100%',
+		boxSizing: 'border-box',
+		padding: '4px 6px',
+		borderRadius: '4px',
+		border: '1px solid #ddd',
+		fontSize: '0.85rem',
+		fontFamily: 'monospace'
+	}
+
+	const nudgeButtonStyle = {
+		flex: 1,
+		padding: '2px 0',
+		borderRadius: '4px',
+		border: '1px solid #667eea',
+		background: 'white',
+		color: '#667eea',
+		cursor: disabled ? 'not-allowed' : 'pointer',
+		fontSize: '0.7rem'
+	}
+
+	const rowStyle = {
+		display: 'flex',
+		justifyContent: 'space-between',
+		gap: '0.5rem',
+		fontSize: '0.75rem',
+		padding: '2px 0'
+	}
+
+	return (
+		<div style={{fontSize: '0.85rem', color: '#333'}}>
+			<div style={{
+				padding: '0.5rem',
+				background: '#f8f9fa',
+				borderRadius: '6px',
+				marginBottom: '0.75rem',
+				whiteSpace: 'pre-wrap',
+				wordBreak: 'break-word'
+			}}>
+				<span style={{fontSize: '0.7rem', color: '#666', textTransform: 'uppercase'}}>{token.type} </span>
+				<strong>{token.text.trim() ? token.text : '␣'}</strong>
+			</div>
+
+			{/* Start and end time */}
+			<div style={{display: 'flex', gap: '0.5rem', marginBottom: '0.75rem'}}>
+				{['start', 'end'].map(edge => (
+					<div key={edge} style={{flex: 1}}>
+						<div style={labelStyle}>{edge === 'start' ? 'Start' : 'End'}</div>
+						<input
+							key={`${token.type}-${token.index}-${tokenData[edge]}`}
+							type="text"
+							defaultValue={typeof tokenData[edge] === 'number' ? formatTimecode(tokenData[edge]) : ''}
+							placeholder="mm:ss.mmm"
+							disabled={disabled}
+							onBlur={(e) => commitTime(edge, e.target)}
+							onKeyDown={(e) => {
+								if (e.key === 'Enter') e.target.blur()
+							}}
+							style={inputStyle}
+						/>
+						<div style={{display: 'flex', gap: '2px', marginTop: '0.25rem'}}>
+							{NUDGE_STEPS.map(step => (
+								<button
+									key={step}
+									onClick={() => onNudge(edge, step)}
+									disabled={disabled || typeof tokenData[edge] !== 'number'}
+									title={`Move ${edge} by ${step}ms`}
+									style={nudgeButtonStyle}
+								>
+									{step > 0 ? `+${step}` : step}
+								</button>
+							))}
+						</div>
+					</div>
+				))}
+			</div>
+
+			{/* Voice and position */}
+			<div style={{display: 'flex', gap: '0.5rem', marginBottom: '0.75rem'}}>
+				<div style={{flex: 1}}>
+					<div style={labelStyle}>Voice</div>
+					<select
+						value={tokenData.voice || 0}
+						disabled={disabled}
+						onChange={(e) => onChange({voice: parseInt(e.target.value, 10)})}
+						style={inputStyle}
+					>
+						<option value={0}>Inherit</option>
+						{voices.map(voice => (
+							<option key={voice.id} value={voice.id}>{voice.name || `Voice ${voice.id}`}</option>
+						))}
+					</select>
+				</div>
+				<div style={{flex: 1}}>
+					<div style={labelStyle}>Position</div>
+					<select
+						value={tokenData.position || ''}
+						disabled={disabled}
+						onChange={(e) => onChange({position: e.target.value})}
+						style={inputStyle}
+					>
+						<option value="">Voice default</option>
+						{VOICE_POSITIONS.map(position => (
+							<option key={position} value={position}>{position}</option>
+						))}
+					</select>
+				</div>
+			</div>
+
+			{/* Parent timings */}
+			{parents.length > 0 && (
+				<div style={{marginBottom: '0.75rem'}}>
+					<div style={labelStyle}>Parents</div>
+					{parents.map(parent => (
+						<div key={parent.type} style={rowStyle}>
+							<span style={{color: '#666'}}>{parent.type}</span>
+							<span style={{fontFamily: 'monospace'}}>{formatRange(parent)}</span>
+						</div>
+					))}
+				</div>
+			)}
+
+			{/* Child timings */}
+			{childTokens.length > 0 && (
+				<div>
+					<div style={labelStyle}>Children ({childTokens.length})</div>
+					<div style={{maxHeight: '150px', overflowY: 'auto'}}>
+						{childTokens.map((child, index) => (
+							<div key={index} style={rowStyle}>
+								<span style={{
+									overflow: 'hidden',
+									textOverflow: 'ellipsis',
+									whiteSpace: 'nowrap'
+								}}>
+									{child.text.trim() ? child.text : '␣'}
+								</span>
+								<span style={{fontFamily: 'monospace', flexShrink: 0}}>{formatRange(child)}</span>
+							</div>
+						))}
+					</div>
+				</div>
+			)}
+		</div>
+	)
+}
+
+export default TokenInspector
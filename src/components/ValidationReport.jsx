@@ -0,0 +1,150 @@
+/**
+ * ValidationReport Component
+ *
+ * Readable list of karaoke file validation errors and warnings.
+ * Features:
+ * - Errors and warnings grouped with their token paths
+ * - Format migrations that ran while loading
+ * - Long reports collapsed to the first entries
+ * - Dismiss button
+ */
+
+import React, {useState} from 'react'
+
+// Entries shown per group before the report is collapsed
+const COLLAPSED_ENTRY_COUNT = 10
+
+/**
+ * @param {Object} props
+ * @param {string} props.fileName - Name of the checked file
+ * @param {Array} props.errors - Entries with path and message
+ * @param {Array} props.warnings - Entries with path and message
+ * @param {Array} props.migrations - Migrations with from, to and description
+ * @param {Function} props.onDismiss - Called when the report is closed
+ */
+function ValidationReport({fileName, errors = [], warnings = [], migrations = [], onDismiss}) {
+	const [expanded, setExpanded] = useState(false)
+
+	if (errors.length === 0 && warnings.length === 0 && migrations.length === 0) return null
+
+	const hasErrors = errors.length > 0
+	const hasWarnings = warnings.length > 0
+
+	const renderEntries = (entries, color) => {
+		const visibleEntries = expanded ? entries : entries.slice(0, COLLAPSED_ENTRY_COUNT)
+		return (
+			<ul style={{listStyle: 'none', margin: 0, padding: 0}}>
+				{visibleEntries.map((entry, index) => (
+					<li key={index} style={{marginBottom: '0.25rem', color}}>
+						{entry.path && (
+							<code style={{
+								background: 'rgba(0,0,0,0.05)',
+								padding: '1px 4px',
+								borderRadius: '3px',
+								marginRight: '0.5rem',
+								fontSize: '0.8rem'
+							}}>
+								{entry.path}
+							</code>
+						)}
+						{entry.message}
+					</li>
+				))}
+			</ul>
+		)
+	}
+
+	const hiddenCount = expanded ? 0 :
+		Math.max(0, errors.length - COLLAPSED_ENTRY_COUNT) + Math.max(0, warnings.length - COLLAPSED_ENTRY_COUNT)
+
+	return (
+		<div style={{
+			marginBottom: '1.5rem',
+			padding: '1rem',
+			background: hasErrors ? '#f8d7da' : hasWarnings ? '#fff3cd' : '#d1ecf1',
+			border: `1px solid ${hasErrors ? '#f5c6cb' : hasWarnings ? '#ffeaa7' : '#bee5eb'}`,
+			borderRadius: '8px',
+			fontSize: '0.9rem',
+			textAlign: 'left'
+		}}>
+			<div style={{
+				display: 'flex',
+				justifyContent: 'space-between',
+				alignItems: 'center',
+				marginBottom: '0.75rem'
+			}}>
+				<strong style={{color: hasErrors ? '#721c24' : hasWarnings ? '#856404' : '#0c5460'}}>
+					{hasErrors ? '❌ File could not be loaded' : hasWarnings ? '⚠️ File loaded with warnings' : '✅ File upgraded'}
+					{fileName ? ` — ${fileName}` : ''}
+				</strong>
+				{onDismiss && (
+					<button
+						onClick={onDismiss}
+						style={{
+							background: 'none',
+							border: 'none',
+							color: '#666',
+							cursor: 'pointer',
+							fontSize: '0.9rem',
+							padding: '0 4px'
+						}}
+					>
+						✕
+					</button>
+				)}
+			</div>
+
+			{migrations.length > 0 && (
+				<div style={{marginBottom: hasErrors || hasWarnings ? '0.75rem' : 0, color: '#0c5460'}}>
+					<div style={{fontWeight: '600', marginBottom: '0.25rem'}}>
+						Migrations ({migrations.length})
+					</div>
+					<ul style={{listStyle: 'none', margin: 0, padding: 0}}>
+						{migrations.map((migration, index) => (
+							<li key={index} style={{marginBottom: '0.25rem'}}>
+								v{migration.from} → v{migration.to}: {migration.description}
+							</li>
+						))}
+					</ul>
+				</div>
+			)}
+
+			{hasErrors && (
+				<div style={{marginBottom: hasWarnings ? '0.75rem' : 0}}>
+					<div style={{fontWeight: '600', color: '#721c24', marginBottom: '0.25rem'}}>
+						Errors ({errors.length})
+					</div>
+					{renderEntries(errors, '#721c24')}
+				</div>
+			)}
+
+			{hasWarnings && (
+				<div>
+					<div style={{fontWeight: '600', color: '#856404', marginBottom: '0.25rem'}}>
+						Warnings ({warnings.length})
+					</div>
+					{renderEntries(warnings, '#856404')}
+				</div>
+			)}
+
+			{hiddenCount > 0 && (
+				<button
+					onClick={() => setExpanded(true)}
+					style={{
+						marginTop: '0.5rem',
+						background: 'none',
+						border: 'none',
+						color: '#667eea',
+						cursor: 'pointer',
+						fontSize: '0.85rem',
+						padding: 0
+					}}
+				>
+					Show {hiddenCount} more
+				</button>
+			)}
+		</div>
+	)
+}
+
+export default ValidationReport
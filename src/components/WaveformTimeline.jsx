@@ -0,0 +1,516 @@
+/**
+ * WaveformTimeline Component
+ *
+ * Zoomable waveform with one lane per token level for correcting timings.
+ * Features:
+ * - Waveform drawn from decoded audio peaks, silent regions shaded
+ * - Block, line, word and char lanes with one segment per timed token
+ * - Draggable segment edges to adjust start/end
+ * - Snapping to neighbouring token edges, silences and the playhead (hold Alt to disable)
+ * - Click to seek, auto-scroll to follow the playhead
+ * - Suggested timings drawn as dashed segments, accepted with a click
+ */
+
+import React, {useState, useRef, useEffect, useMemo} from 'react'
+import {computePeaks, detectSilences} from '../utils/audioAnalysis'
+import {isTimedToken} from '../utils/karaokeText'
+
+const WAVEFORM_HEIGHT = 80
+const LANE_HEIGHT = 22
+const LABEL_WIDTH = 56
+const HANDLE_WIDTH = 6
+const SNAP_DISTANCE = 8 // Pixels
+const MIN_TOKEN_DURATION = 20 // Milliseconds
+const MIN_ZOOM = 10 // Pixels per second
+const MAX_ZOOM = 500
+
+const LANE_LABELS = {
+	blocks: 'Blocks',
+	lines: 'Lines',
+	words: 'Words',
+	syllables: 'Syllables',
+	chars: 'Chars'
+}
+
+/**
+ * Check if a token has recorded timing with a length
+ * @param {Object} token - Token with start and end
+ * @returns {boolean} True if the token can be drawn
+ */
+const isDrawableToken = (token) => isTimedToken(token) && token.end > token.start
+
+/**
+ * @param {Object} props
+ * @param {AudioBuffer} props.audioBuffer - Decoded audio, null while decoding
+ * @param {Array} props.lanes - Lanes with mode and tokens (from getTokensByModeType)
+ * @param {Array} props.voices - Voices used for segment colors
+ * @param {number} props.currentTime - Playhead position in seconds
+ * @param {number} props.duration - Audio duration in seconds
+ * @param {string} props.activeMode - Current recording mode
+ * @param {number} props.activeTokenIndex - Active token in the current mode
+ * @param {boolean} props.disabled - Disable editing (while recording)
+ * @param {Function} props.onSeek - Called with a time in seconds
+ * @param {Function} props.onTokenSelect - Called with (mode, index) when a segment is clicked
+ * @param {Function} props.onTokenTimingChange - Called with (token, {start, end}) after a drag
+ * @param {Array} props.suggestions - Suggested timings {mode, index, start, end}
+ * @param {Function} props.onSuggestionAccept - Called with a suggestion when it is clicked
+ */
+function WaveformTimeline({
+	audioBuffer,
+	lanes,
+	voices = [],
+	currentTime,
+	duration,
+	activeMode,
+	activeTokenIndex,
+	disabled,
+	onSeek,
+	onTokenSelect,
+	onTokenTimingChange,
+	suggestions = [],
+	onSuggestionAccept
+}) {
+	const [zoom, setZoom] = useState(100) // Pixels per second
+	const [scrollLeft, setScrollLeft] = useState(0)
+	const [viewportWidth, setViewportWidth] = useState(0)
+	const [drag, setDrag] = useState(null) // {mode, index, edge, start, end, snapped}
+	const [followPlayhead, setFollowPlayhead] = useState(true)
+
+	const scrollRef = useRef(null)
+	const canvasRef = useRef(null)
+	const dragRef = useRef(null) // Drag origin, kept out of state for pointer handlers
+	const zoomAnchorRef = useRef(null) // Time kept in place while zooming
+
+	const peaks = useMemo(() => audioBuffer ? computePeaks(audioBuffer) : null, [audioBuffer])
+	const silences = useMemo(() => audioBuffer ? detectSilences(audioBuffer) : [], [audioBuffer])
+
+	const contentWidth = Math.max(viewportWidth, Math.ceil((duration || 0) * zoom))
+	const contentHeight = WAVEFORM_HEIGHT + lanes.length * LANE_HEIGHT
+
+	// Track the visible width
+	useEffect(() => {
+		const updateWidth = () => {
+			if (scrollRef.current) {
+				setViewportWidth(scrollRef.current.clientWidth)
+			}
+		}
+		updateWidth()
+		window.addEventListener('resize', updateWidth)
+		return () => window.removeEventListener('resize', updateWidth)
+	}, [])
+
+	// Keep the anchored time in place after zooming
+	useEffect(() => {
+		if (zoomAnchorRef.current === null || !scrollRef.current) return
+		const {time, offset} = zoomAnchorRef.current
+		scrollRef.current.scrollLeft = Math.max(0, time * zoom - offset)
+		zoomAnchorRef.current = null
+	}, [zoom])
+
+	// Follow the playhead while it plays out of view
+	useEffect(() => {
+		if (!followPlayhead || drag || !scrollRef.current || viewportWidth === 0) return
+		const playheadX = currentTime * zoom
+		if (playheadX < scrollLeft || playheadX > scrollLeft + viewportWidth - 20) {
+			scrollRef.current.scrollLeft = Math.max(0, playheadX - viewportWidth * 0.25)
+		}
+	}, [currentTime])
+
+	// Draw the visible part of the waveform
+	useEffect(() => {
+		const canvas = canvasRef.current
+		if (!canvas || viewportWidth === 0) return
+
+		const pixelRatio = window.devicePixelRatio || 1
+		canvas.width = viewportWidth * pixelRatio
+		canvas.height = WAVEFORM_HEIGHT * pixelRatio
+		const ctx = canvas.getContext('2d')
+		ctx.scale(pixelRatio, pixelRatio)
+		ctx.fillStyle = '#1e1e2e'
+		ctx.fillRect(0, 0, viewportWidth, WAVEFORM_HEIGHT)
+
+		const startTime = scrollLeft / zoom
+
+		// Silent regions
+		ctx.fillStyle = 'rgba(255,255,255,0.06)'
+		silences.forEach(silence => {
+			const x = silence.start / 1000 * zoom - scrollLeft
+			const width = (silence.end - silence.start) / 1000 * zoom
+			if (x + width >= 0 && x <= viewportWidth) {
+				ctx.fillRect(x, 0, width, WAVEFORM_HEIGHT)
+			}
+		})
+
+		// Second ticks with labels every few seconds depending on zoom
+		const labelEvery = zoom >= 60 ? 1 : zoom >= 20 ? 5 : 10
+		ctx.fillStyle = 'rgba(255,255,255,0.4)'
+		ctx.font = '10px sans-serif'
+		for (let second = Math.floor(startTime); second <= startTime + viewportWidth / zoom; second++) {
+			if (second % labelEvery !== 0) continue
+			const x = second * zoom - scrollLeft
+			ctx.fillRect(x, 0, 1, 6)
+			ctx.fillText(`${Math.floor(second / 60)}:${(second % 60).toString().padStart(2, '0')}`, x + 3, 10)
+		}
+
+		if (!peaks) return
+
+		// Waveform, one min/max bar per pixel column
+		const middle = WAVEFORM_HEIGHT / 2
+		const bucketsPerPixel = peaks.peaksPerSecond / zoom
+		ctx.fillStyle = '#8fa2ff'
+		for (let x = 0; x < viewportWidth; x++) {
+			const firstBucket = Math.floor((scrollLeft + x) / zoom * peaks.peaksPerSecond)
+			const lastBucket = Math.max(firstBucket + 1, Math.floor(firstBucket + bucketsPerPixel))
+			if (firstBucket >= peaks.max.length) break
+
+			let min = 0
+			let max = 0
+			for (let bucket = firstBucket; bucket < lastBucket && bucket < peaks.max.length; bucket++) {
+				if (peaks.min[bucket] < min) min = peaks.min[bucket]
+				if (peaks.max[bucket] > max) max = peaks.max[bucket]
+			}
+			const top = middle - max * (middle - 4)
+			const bottom = middle - min * (middle - 4)
+			ctx.fillRect(x, top, 1, Math.max(1, bottom - top))
+		}
+	}, [peaks, silences, zoom, scrollLeft, viewportWidth])
+
+	/**
+	 * Change the zoom level keeping the playhead (or view center) in place
+	 * @param {number} newZoom - Pixels per second
+	 */
+	const changeZoom = (newZoom) => {
+		const clampedZoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, newZoom))
+		const playheadX = currentTime * zoom - scrollLeft
+		const offset = playheadX >= 0 && playheadX <= viewportWidth ? playheadX : viewportWidth / 2
+		zoomAnchorRef.current = {time: (scrollLeft + offset) / zoom, offset}
+		setZoom(clampedZoom)
+	}
+
+	/**
+	 * Collect snap targets for a drag, excluding the dragged token
+	 * @param {string} mode - Lane of the dragged token
+	 * @param {number} index - Index of the dragged token
+	 * @returns {Array<number>} Snap times in ms
+	 */
+	const collectSnapTargets = (mode, index) => {
+		const targets = [Math.round(currentTime * 1000)]
+		lanes.forEach(lane => {
+			lane.tokens.forEach(token => {
+				if (lane.mode === mode && token.index === index) return
+				if (!isDrawableToken(token)) return
+				targets.push(token.start, token.end)
+			})
+		})
+		silences.forEach(silence => targets.push(silence.start, silence.end))
+		return targets
+	}
+
+	/**
+	 * Start dragging a segment edge
+	 * @param {PointerEvent} event - Pointer down on an edge handle
+	 * @param {string} mode - Lane of the token
+	 * @param {Object} token - Token being edited
+	 * @param {string} edge - 'start' or 'end'
+	 */
+	const handleEdgePointerDown = (event, mode, token, edge) => {
+		if (disabled) return
+		event.preventDefault()
+		event.stopPropagation()
+		event.currentTarget.setPointerCapture(event.pointerId)
+
+		dragRef.current = {
+			mode,
+			token,
+			edge,
+			originX: event.clientX,
+			snapTargets: collectSnapTargets(mode, token.index)
+		}
+		setDrag({mode, index: token.index, edge, start: token.start, end: token.end, snapped: false})
+	}
+
+	const handleEdgePointerMove = (event) => {
+		const origin = dragRef.current
+		if (!origin) return
+
+		const {token, edge} = origin
+		let value = token[edge] + (event.clientX - origin.originX) / zoom * 1000
+		let snapped = false
+
+		// Snap to the nearest target within reach
+		if (!event.altKey) {
+			const snapRange = SNAP_DISTANCE / zoom * 1000
+			let nearest = null
+			origin.snapTargets.forEach(target => {
+				const distance = Math.abs(target - value)
+				if (distance <= snapRange && (nearest === null || distance < Math.abs(nearest - value))) {
+					nearest = target
+				}
+			})
+			if (nearest !== null) {
+				value = nearest
+				snapped = true
+			}
+		}
+
+		// Keep the token at least MIN_TOKEN_DURATION long and inside the audio
+		const durationMs = (duration || 0) * 1000
+		if (edge === 'start') {
+			value = Math.max(0, Math.min(value, token.end - MIN_TOKEN_DURATION))
+		} else {
+			value = Math.max(token.start + MIN_TOKEN_DURATION, durationMs > 0 ? Math.min(value, durationMs) : value)
+		}
+		value = Math.round(value)
+
+		setDrag(current => current && {
+			...current,
+			start: edge === 'start' ? value : token.start,
+			end: edge === 'end' ? value : token.end,
+			snapped
+		})
+	}
+
+	const handleEdgePointerUp = () => {
+		const origin = dragRef.current
+		dragRef.current = null
+		if (!origin || !drag) {
+			setDrag(null)
+			return
+		}
+
+		if (drag.start !== origin.token.start || drag.end !== origin.token.end) {
+			onTokenTimingChange(origin.token, {start: drag.start, end: drag.end})
+		}
+		setDrag(null)
+	}
+
+	/**
+	 * Seek to the clicked position on the waveform
+	 * @param {MouseEvent} event - Click on the waveform canvas
+	 */
+	const handleWaveformClick = (event) => {
+		const time = (scrollLeft + event.nativeEvent.offsetX) / zoom
+		if (isFinite(time) && time >= 0) {
+			onSeek(Math.min(time, duration || time))
+		}
+	}
+
+	/**
+	 * Get the display color of a token's voice
+	 * @param {Object} token - Token with voice id
+	 * @returns {string} CSS color
+	 */
+	const getVoiceColor = (token) => voices.find(v => v.id === token.voice)?.color || '#667eea'
+
+	// Only segments within the visible range (plus a margin) are rendered
+	const visibleStart = (scrollLeft - 200) / zoom * 1000
+	const visibleEnd = (scrollLeft + viewportWidth + 200) / zoom * 1000
+
+	const renderSuggestions = (lane, laneIndex) => {
+		const top = WAVEFORM_HEIGHT + laneIndex * LANE_HEIGHT
+
+		return suggestions
+			.filter(suggestion => suggestion.mode === lane.mode &&
+				suggestion.end >= visibleStart && suggestion.start <= visibleEnd)
+			.map(suggestion => (
+				<div
+					key={`suggestion-${lane.mode}-${suggestion.index}`}
+					onClick={() => !disabled && onSuggestionAccept(suggestion)}
+					title={`Suggested ${suggestion.start}–${suggestion.end}ms, click to accept`}
+					style={{
+						position: 'absolute',
+						top: `${top + 1}px`,
+						left: `${suggestion.start / 1000 * zoom}px`,
+						width: `${Math.max(2, (suggestion.end - suggestion.start) / 1000 * zoom)}px`,
+						height: `${LANE_HEIGHT - 2}px`,
+						border: '2px dashed #28a745',
+						borderRadius: '3px',
+						boxSizing: 'border-box',
+						background: 'rgba(40,167,69,0.15)',
+						cursor: disabled ? 'default' : 'copy'
+					}}
+				/>
+			))
+	}
+
+	const renderLane = (lane, laneIndex) => {
+		const top = WAVEFORM_HEIGHT + laneIndex * LANE_HEIGHT
+
+		return lane.tokens.map(token => {
+			const isDragged = drag && drag.mode === lane.mode && drag.index === token.index
+			const start = isDragged ? drag.start : token.start
+			const end = isDragged ? drag.end : token.end
+			if (!isDrawableToken({start, end}) || end < visibleStart || start > visibleEnd) return null
+
+			const isActive = lane.mode === activeMode && token.index === activeTokenIndex
+			const left = start / 1000 * zoom
+			const width = Math.max(2, (end - start) / 1000 * zoom)
+			const handleStyle = {
+				position: 'absolute',
+				top: 0,
+				bottom: 0,
+				width: `${HANDLE_WIDTH}px`,
+				cursor: disabled ? 'default' : 'ew-resize',
+				background: isDragged && drag.snapped ? 'rgba(40,167,69,0.8)' : 'rgba(255,255,255,0.25)',
+				touchAction: 'none'
+			}
+
+			return (
+				<div
+					key={`${lane.mode}-${token.index}`}
+					onClick={() => onTokenSelect(lane.mode, token.index)}
+					title={`${token.text || ''} ${start}–${end}ms`}
+					style={{
+						position: 'absolute',
+						top: `${top + 2}px`,
+						left: `${left}px`,
+						width: `${width}px`,
+						height: `${LANE_HEIGHT - 4}px`,
+						background: isActive ? '#ffc107' : 'rgba(102,126,234,0.55)',
+						borderLeft: `3px solid ${getVoiceColor(token)}`,
+						borderRadius: '3px',
+						boxSizing: 'border-box',
+						overflow: 'hidden',
+						whiteSpace: 'pre',
+						fontSize: '0.7rem',
+						lineHeight: `${LANE_HEIGHT - 4}px`,
+						paddingLeft: `${HANDLE_WIDTH}px`,
+						color: isActive ? '#333' : 'white',
+						cursor: 'pointer'
+					}}
+				>
+					{token.text}
+					<div
+						onPointerDown={(e) => handleEdgePointerDown(e, lane.mode, token, 'start')}
+						onPointerMove={handleEdgePointerMove}
+						onPointerUp={handleEdgePointerUp}
+						onPointerCancel={handleEdgePointerUp}
+						onClick={(e) => e.stopPropagation()}
+						style={{...handleStyle, left: 0}}
+					/>
+					<div
+						onPointerDown={(e) => handleEdgePointerDown(e, lane.mode, token, 'end')}
+						onPointerMove={handleEdgePointerMove}
+						onPointerUp={handleEdgePointerUp}
+						onPointerCancel={handleEdgePointerUp}
+						onClick={(e) => e.stopPropagation()}
+						style={{...handleStyle, right: 0}}
+					/>
+				</div>
+			)
+		})
+	}
+
+	return (
+		<div style={{
+			background: '#2a2a3c',
+			borderRadius: '8px',
+			padding: '0.5rem',
+			color: 'white',
+			fontSize: '0.8rem'
+		}}>
+			{/* Zoom controls */}
+			<div style={{display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.5rem'}}>
+				<button
+					onClick={() => changeZoom(zoom / 1.5)}
+					style={{padding: '2px 8px', borderRadius: '4px', border: 'none', cursor: 'pointer'}}
+				>
+					−
+				</button>
+				<input
+					type="range"
+					min={MIN_ZOOM}
+					max={MAX_ZOOM}
+					value={zoom}
+					onChange={(e) => changeZoom(Number(e.target.value))}
+					style={{width: '120px'}}
+				/>
+				<button
+					onClick={() => changeZoom(zoom * 1.5)}
+					style={{padding: '2px 8px', borderRadius: '4px', border: 'none', cursor: 'pointer'}}
+				>
+					+
+				</button>
+				<span style={{opacity: 0.7}}>{Math.round(zoom)} px/s</span>
+				<label style={{display: 'flex', alignItems: 'center', gap: '0.25rem', marginLeft: 'auto', opacity: 0.8}}>
+					<input
+						type="checkbox"
+						checked={followPlayhead}
+						onChange={(e) => setFollowPlayhead(e.target.checked)}
+					/>
+					Follow playhead
+				</label>
+				<span style={{opacity: 0.6}}>
+					{audioBuffer ? 'Drag edges to adjust · Alt disables snapping' : 'Decoding audio...'}
+				</span>
+			</div>
+
+			<div style={{display: 'flex'}}>
+				{/* Lane labels */}
+				<div style={{width: `${LABEL_WIDTH}px`, flexShrink: 0}}>
+					<div style={{height: `${WAVEFORM_HEIGHT}px`}}/>
+					{lanes.map(lane => (
+						<div
+							key={lane.mode}
+							style={{
+								height: `${LANE_HEIGHT}px`,
+								lineHeight: `${LANE_HEIGHT}px`,
+								opacity: lane.mode === activeMode ? 1 : 0.6,
+								fontWeight: lane.mode === activeMode ? 'bold' : 'normal'
+							}}
+						>
+							{LANE_LABELS[lane.mode]}
+						</div>
+					))}
+				</div>
+
+				{/* Scrollable waveform and lanes */}
+				<div
+					ref={scrollRef}
+					onScroll={(e) => setScrollLeft(e.currentTarget.scrollLeft)}
+					style={{
+						flex: 1,
+						minWidth: 0,
+						overflowX: 'auto',
+						overflowY: 'hidden'
+					}}
+				>
+					<div style={{
+						position: 'relative',
+						width: `${contentWidth}px`,
+						height: `${contentHeight}px`
+					}}>
+						<canvas
+							ref={canvasRef}
+							onClick={handleWaveformClick}
+							style={{
+								position: 'sticky',
+								left: 0,
+								display: 'block',
+								width: `${viewportWidth}px`,
+								height: `${WAVEFORM_HEIGHT}px`,
+								cursor: 'pointer'
+							}}
+						/>
+
+						{lanes.map((lane, laneIndex) => renderSuggestions(lane, laneIndex))}
+						{lanes.map((lane, laneIndex) => renderLane(lane, laneIndex))}
+
+						{/* Playhead */}
+						<div style={{
+							position: 'absolute',
+							top: 0,
+							left: `${currentTime * zoom}px`,
+							width: '2px',
+							height: `${contentHeight}px`,
+							background: '#ff4757',
+							pointerEvents: 'none'
+						}}/>
+					</div>
+				</div>
+			</div>
+		</div>
+	)
+}
+
+export default WaveformTimeline
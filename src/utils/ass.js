@@ -0,0 +1,194 @@
+/**
+ * Advanced SubStation Alpha Export
+ *
+ * Converts karaoke data into .ass subtitles with karaoke tags.
+ * Features:
+ * - {\k} / {\kf} timings per word or per char
+ * - One Style per voice, voice color as PrimaryColour
+ * - Alignment derived from voice default_position, {\an} override for line positions
+ */
+
+import {getLineText, getWordText, isSpaceText} from './karaokeText'
+
+// Numpad alignment for the positions used by voices, blocks and lines
+const POSITION_ALIGNMENT = {
+	DL: 1,
+	D: 2,
+	DR: 3,
+	L: 4,
+	C: 5,
+	R: 6,
+	TL: 7,
+	U: 8,
+	TR: 9
+}
+
+const DEFAULT_COLOR = '#87CEEB'
+
+/**
+ * Format milliseconds as an ASS timestamp
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} Timestamp in H:MM:SS.cc format
+ */
+export function formatAssTimestamp(ms) {
+	const totalCentiseconds = Math.max(0, Math.round((ms || 0) / 10))
+	const hours = Math.floor(totalCentiseconds / 360000)
+	const minutes = Math.floor((totalCentiseconds % 360000) / 6000)
+	const seconds = Math.floor((totalCentiseconds % 6000) / 100)
+	const centiseconds = totalCentiseconds % 100
+	return `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}.${centiseconds.toString().padStart(2, '0')}`
+}
+
+/**
+ * Convert a #RRGGBB color to the ASS &HAABBGGRR format
+ * @param {string} hexColor - CSS hex color
+ * @param {number} brightness - Factor applied to each channel (1 = unchanged)
+ * @returns {string} ASS color
+ */
+export function toAssColor(hexColor, brightness = 1) {
+	const color = /^#[0-9a-f]{6}$/i.test(hexColor || '') ? hexColor : DEFAULT_COLOR
+	const channel = (offset) => Math.round(parseInt(color.slice(offset, offset + 2), 16) * brightness)
+		.toString(16).toUpperCase().padStart(2, '0')
+	return `&H00${channel(5)}${channel(3)}${channel(1)}`
+}
+
+/**
+ * Get the ASS style name of a voice
+ * @param {Object} voice - Voice entry
+ * @returns {string} Style name without commas
+ */
+const getStyleName = (voice) => `Voice${voice.id}`
+
+/**
+ * Remove characters that ASS would read as override blocks
+ * @param {string} text - Lyric text
+ * @returns {string} Safe dialogue text
+ */
+const escapeAssText = (text) => text.replace(/\{/g, '(').replace(/\}/g, ')').replace(/\n/g, ' ')
+
+/**
+ * Collect the timed tokens of a line for the chosen granularity
+ * Space tokens are attached to the token before them
+ * @param {Object} line - Line token
+ * @param {string} granularity - 'words', 'syllables' or 'chars'
+ * @returns {Array} Tokens with text, start and end
+ */
+const getKaraokeTokens = (line, granularity) => {
+	const hasTimedWords = Array.isArray(line.words) &&
+		line.words.some(word => word.start > 0 || word.end > 0)
+	if (!hasTimedWords) {
+		return [{text: getLineText(line), start: line.start, end: line.end}]
+	}
+
+	const tokens = []
+	line.words.forEach(word => {
+		// Finer tokens are used when they were recorded, otherwise the word
+		const subKey = {syllables: 'syllables', chars: 'chars'}[granularity]
+		const subTokens = subKey && Array.isArray(word[subKey]) &&
+			word[subKey].some(token => token.start > 0 || token.end > 0) ? word[subKey] : null
+		const parts = subTokens
+			? subTokens.map(token => ({text: token.text, start: token.start, end: token.end}))
+			: [{text: getWordText(word), start: word.start, end: word.end}]
+
+		parts.forEach(part => {
+			if (isSpaceText(part.text) && tokens.length > 0) {
+				tokens[tokens.length - 1].text += part.text
+			} else if (!isSpaceText(part.text)) {
+				tokens.push(part)
+			}
+		})
+	})
+	return tokens
+}
+
+/**
+ * Build the karaoke-tagged text of a dialogue line
+ * Durations are computed from absolute centiseconds so rounding never drifts
+ * @param {Array} tokens - Timed tokens of the line
+ * @param {number} lineStart - Dialogue start in ms
+ * @param {string} tag - 'k' or 'kf'
+ * @returns {string} Dialogue text with karaoke tags
+ */
+const buildKaraokeText = (tokens, lineStart, tag) => {
+	const toCs = (ms) => Math.round(ms / 10)
+	let cursor = toCs(lineStart)
+	let text = ''
+
+	tokens.forEach(token => {
+		const tokenStart = Math.max(cursor, toCs(token.start))
+		const tokenEnd = Math.max(tokenStart, toCs(token.end))
+
+		// Pause before the token
+		if (tokenStart > cursor) {
+			text += `{\\k${tokenStart - cursor}}`
+		}
+		text += `{\\${tag}${tokenEnd - tokenStart}}${escapeAssText(token.text)}`
+		cursor = tokenEnd
+	})
+
+	return text
+}
+
+/**
+ * Export karaoke data as an .ass subtitle file
+ * @param {Object} data - Cleaned karaoke data with voices
+ * @param {Object} options - Export options
+ * @param {string} options.granularity - 'words', 'syllables' or 'chars'
+ * @param {boolean} options.sweep - Use {\kf} sweeps instead of {\k} jumps
+ * @param {string} options.title - Script title
+ * @param {number} options.playResX - Script width in pixels
+ * @param {number} options.playResY - Script height in pixels
+ * @returns {string} ASS file content
+ */
+export function exportAss(data, {granularity = 'words', sweep = false, title = '', playResX = 1920, playResY = 1080} = {}) {
+	if (!data || !Array.isArray(data.blocks)) return ''
+
+	const voices = Array.isArray(data.voices) && data.voices.length > 0
+		? data.voices
+		: [{id: 1, name: '', default_position: 'C', color: DEFAULT_COLOR}]
+	const fontSize = Math.round(playResY / 16)
+	const margin = Math.round(playResY / 18)
+	const tag = sweep ? 'kf' : 'k'
+
+	const output = [
+		'[Script Info]',
+		`Title: ${title || 'Karaoke'}`,
+		'ScriptType: v4.00+',
+		`PlayResX: ${playResX}`,
+		`PlayResY: ${playResY}`,
+		'WrapStyle: 0',
+		'ScaledBorderAndShadow: yes',
+		'',
+		'[V4+ Styles]',
+		'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding'
+	]
+
+	// Sung text takes the voice color, unsung text the darkened voice color
+	voices.forEach(voice => {
+		const alignment = POSITION_ALIGNMENT[voice.default_position] || POSITION_ALIGNMENT.C
+		output.push(`Style: ${getStyleName(voice)},Arial,${fontSize},${toAssColor(voice.color)},${toAssColor(voice.color, 0.4)},&H00000000,&H80000000,-1,0,0,0,100,100,0,0,1,3,0,${alignment},${margin},${margin},${margin},1`)
+	})
+
+	output.push(
+		'',
+		'[Events]',
+		'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+	)
+
+	data.blocks.forEach(block => {
+		block.lines.forEach(line => {
+			const voice = voices.find(v => v.id === (line.voice || block.voice)) || voices[0]
+			const tokens = getKaraokeTokens(line, granularity)
+			if (tokens.every(token => !token.text.trim())) return
+
+			// Explicit line positions override the voice alignment
+			const lineAlignment = POSITION_ALIGNMENT[line.position]
+			const override = lineAlignment && line.position !== voice.default_position ? `{\\an${lineAlignment}}` : ''
+			const name = (voice.name || '').replace(/,/g, ' ')
+
+			output.push(`Dialogue: 0,${formatAssTimestamp(line.start)},${formatAssTimestamp(line.end)},${getStyleName(voice)},${name},0,0,0,,${override}${buildKaraokeText(tokens, line.start, tag)}`)
+		})
+	})
+
+	return output.join('\n') + '\n'
+}
@@ -0,0 +1,88 @@
+/**
+ * Audience Sync
+ *
+ * Keeps a separate audience window in step with the operator's playback.
+ * Features:
+ * - BroadcastChannel messages between windows of the same browser
+ * - Track messages with the lyrics and display settings
+ * - Clock messages with the audio time, play state and speed
+ * - Stop message when the operator window closes or navigates away
+ * - Drift correction: small drift is absorbed by a slightly faster or slower clock, large drift jumps
+ */
+
+export const AUDIENCE_CHANNEL = 'karaoke-audience'
+
+export const SYNC_INTERVAL = 1000 // ms between clock messages while playing
+const MAX_DRIFT = 0.25 // s of drift corrected by jumping
+const MAX_RATE_CORRECTION = 0.05 // Clock runs at most 5% faster or slower while correcting
+
+/**
+ * Open the channel shared by the operator and audience windows
+ * @returns {BroadcastChannel|null} Channel or null if the browser has none
+ */
+export function openAudienceChannel() {
+	if (typeof BroadcastChannel !== 'function') return null
+	return new BroadcastChannel(AUDIENCE_CHANNEL)
+}
+
+/**
+ * Create a clock message from the operator's audio element
+ * @param {HTMLAudioElement} audio - Playing audio
+ * @returns {Object} Message {type, time, playing, speed, sentAt}
+ */
+export function createClockMessage(audio) {
+	return {
+		type: 'clock',
+		time: audio.currentTime,
+		playing: !audio.paused && !audio.ended,
+		speed: audio.playbackRate,
+		sentAt: Date.now()
+	}
+}
+
+/**
+ * Get the time of a local clock
+ * @param {Object} clock - Clock {time, playing, rate, anchoredAt}
+ * @param {number} now - Current Date.now()
+ * @returns {number} Audio time in seconds
+ */
+export function getClockTime(clock, now = Date.now()) {
+	if (!clock.playing) return clock.time
+	return clock.time + ((now - clock.anchoredAt) / 1000) * clock.rate
+}
+
+/**
+ * Stop a local clock at its current time
+ * @param {Object|null} clock - Current local clock
+ * @param {number} now - Current Date.now()
+ * @returns {Object|null} Paused clock, null if there was none
+ */
+export function stopClock(clock, now = Date.now()) {
+	if (!clock) return null
+	return {...clock, time: getClockTime(clock, now), playing: false, anchoredAt: now}
+}
+
+/**
+ * Follow a clock message from the operator
+ * Play state or speed changes and large drift jump to the operator time,
+ * small drift is corrected by running the clock slightly faster or slower until the next message
+ * @param {Object|null} clock - Current local clock or null before the first message
+ * @param {Object} message - Clock message from createClockMessage
+ * @param {number} now - Current Date.now()
+ * @returns {Object} New clock {time, playing, speed, rate, anchoredAt}
+ */
+export function syncClock(clock, message, now = Date.now()) {
+	// Time the operator's audio has moved on while the message was under way
+	const latency = message.playing ? Math.max(0, now - message.sentAt) / 1000 * message.speed : 0
+	const targetTime = message.time + latency
+	const snapped = {time: targetTime, playing: message.playing, speed: message.speed, rate: message.speed, anchoredAt: now}
+
+	if (!clock || !message.playing || !clock.playing || clock.speed !== message.speed) return snapped
+
+	const localTime = getClockTime(clock, now)
+	const drift = targetTime - localTime
+	if (Math.abs(drift) > MAX_DRIFT) return snapped
+
+	const correction = Math.max(-MAX_RATE_CORRECTION, Math.min(MAX_RATE_CORRECTION, drift / (SYNC_INTERVAL / 1000)))
+	return {...snapped, time: localTime, rate: message.speed * (1 + correction)}
+}
@@ -0,0 +1,152 @@
+/**
+ * Audio Analysis
+ *
+ * Decodes audio with the Web Audio API and derives data for timing tools.
+ * Features:
+ * - Decoding of files, blobs and object URLs via decodeAudioData
+ * - Min/max peaks at a fixed resolution for waveform drawing
+ * - Silence and low-energy region detection based on RMS loudness
+ */
+
+// Resolution of the peak data (buckets per second)
+export const PEAKS_PER_SECOND = 100
+
+/**
+ * Decode audio into an AudioBuffer
+ * @param {Blob|string} source - Audio file, blob or URL
+ * @returns {Promise<AudioBuffer>} Decoded audio
+ */
+export function decodeAudio(source) {
+	const arrayBufferPromise = typeof source === 'string'
+		? fetch(source).then(response => response.arrayBuffer())
+		: source.arrayBuffer()
+
+	return arrayBufferPromise.then(arrayBuffer => {
+		const AudioContextClass = window.AudioContext || window.webkitAudioContext
+		const audioContext = new AudioContextClass()
+		return audioContext.decodeAudioData(arrayBuffer).finally(() => audioContext.close())
+	})
+}
+
+/**
+ * Mix all channels of a buffer down to mono
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @returns {Float32Array} Mono samples
+ */
+export function getMonoSamples(audioBuffer) {
+	if (audioBuffer.numberOfChannels === 1) {
+		return audioBuffer.getChannelData(0)
+	}
+
+	const mono = new Float32Array(audioBuffer.length)
+	for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+		const data = audioBuffer.getChannelData(channel)
+		for (let i = 0; i < data.length; i++) {
+			mono[i] += data[i] / audioBuffer.numberOfChannels
+		}
+	}
+	return mono
+}
+
+/**
+ * Compute min/max peaks for waveform drawing
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @returns {Object} Peaks with min and max arrays, one value per bucket
+ */
+export function computePeaks(audioBuffer) {
+	const samples = getMonoSamples(audioBuffer)
+	const samplesPerBucket = Math.max(1, Math.floor(audioBuffer.sampleRate / PEAKS_PER_SECOND))
+	const bucketCount = Math.ceil(samples.length / samplesPerBucket)
+	const min = new Float32Array(bucketCount)
+	const max = new Float32Array(bucketCount)
+
+	for (let bucket = 0; bucket < bucketCount; bucket++) {
+		let bucketMin = 0
+		let bucketMax = 0
+		const end = Math.min(samples.length, (bucket + 1) * samplesPerBucket)
+		for (let i = bucket * samplesPerBucket; i < end; i++) {
+			if (samples[i] < bucketMin) bucketMin = samples[i]
+			if (samples[i] > bucketMax) bucketMax = samples[i]
+		}
+		min[bucket] = bucketMin
+		max[bucket] = bucketMax
+	}
+
+	return {min, max, peaksPerSecond: PEAKS_PER_SECOND}
+}
+
+/**
+ * Compute RMS loudness per analysis frame
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate of the samples
+ * @param {number} frameMs - Frame length in milliseconds
+ * @returns {Float32Array} RMS value per frame
+ */
+export function computeRms(samples, sampleRate, frameMs = 10) {
+	const frameSize = Math.max(1, Math.round(sampleRate * frameMs / 1000))
+	const frameCount = Math.ceil(samples.length / frameSize)
+	const rms = new Float32Array(frameCount)
+
+	for (let frame = 0; frame < frameCount; frame++) {
+		let sum = 0
+		const start = frame * frameSize
+		const end = Math.min(samples.length, start + frameSize)
+		for (let i = start; i < end; i++) {
+			sum += samples[i] * samples[i]
+		}
+		rms[frame] = Math.sqrt(sum / Math.max(1, end - start))
+	}
+	return rms
+}
+
+/**
+ * Find silent regions of the audio
+ * The threshold is relative to the loudest frame so quiet mixes work too
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {Object} options - Detection options
+ * @param {number} options.thresholdDb - Silence level below the peak RMS in dB
+ * @param {number} options.minDuration - Minimum silence length in ms
+ * @returns {Array} Silences with start and end in ms
+ */
+export function detectSilences(audioBuffer, options = {}) {
+	return detectLowEnergyRegions(getMonoSamples(audioBuffer), audioBuffer.sampleRate, options)
+}
+
+/**
+ * Find regions of samples quieter than a threshold relative to the loudest frame
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate of the samples
+ * @param {Object} options - Detection options
+ * @param {number} options.thresholdDb - Level below the peak RMS in dB
+ * @param {number} options.minDuration - Minimum region length in ms
+ * @returns {Array} Regions with start and end in ms
+ */
+export function detectLowEnergyRegions(samples, sampleRate, {thresholdDb = -40, minDuration = 300} = {}) {
+	const frameMs = 10
+	const durationMs = Math.round(samples.length / sampleRate * 1000)
+	const rms = computeRms(samples, sampleRate, frameMs)
+	const peakRms = rms.reduce((peak, value) => Math.max(peak, value), 0)
+	if (peakRms === 0) {
+		return [{start: 0, end: durationMs}]
+	}
+
+	const threshold = peakRms * Math.pow(10, thresholdDb / 20)
+	const silences = []
+	let silenceStart = null
+
+	for (let frame = 0; frame <= rms.length; frame++) {
+		const isSilent = frame < rms.length && rms[frame] < threshold
+		if (isSilent && silenceStart === null) {
+			silenceStart = frame
+		} else if (!isSilent && silenceStart !== null) {
+			const start = silenceStart * frameMs
+			const end = Math.min(frame * frameMs, durationMs)
+			if (end - start >= minDuration) {
+				silences.push({start, end})
+			}
+			silenceStart = null
+		}
+	}
+
+	return silences
+}
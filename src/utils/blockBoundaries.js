@@ -0,0 +1,95 @@
+/**
+ * Block Boundary Suggestions
+ *
+ * Proposes block start/end times from gaps in the vocal range of the audio.
+ * Features:
+ * - Low-energy region detection on the band-passed analysis signal
+ * - One suggestion per block, gaps chosen in order by position and length
+ * - Expected block positions from the amount of lyrics per block
+ */
+
+import {detectLowEnergyRegions} from './audioAnalysis'
+import {alignToOnsets, renderAnalysisSignal, ANALYSIS_SAMPLE_RATE} from './onsetDetection'
+import {getLineText} from './karaokeText'
+
+// Vocal gap detection, relative to the loudest frame in the vocal range
+const GAP_THRESHOLD_DB = -24
+const MIN_GAP_DURATION = 800 // ms
+const EDGE_TOLERANCE = 100 // Gaps this close to the song start/end count as intro/outro
+
+/**
+ * Detect low-energy regions in the vocal range
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @returns {Promise<Array>} Gaps with start and end in ms
+ */
+export function detectVocalGaps(audioBuffer) {
+	return renderAnalysisSignal(audioBuffer).then(samples =>
+		detectLowEnergyRegions(samples, ANALYSIS_SAMPLE_RATE, {
+			thresholdDb: GAP_THRESHOLD_DB,
+			minDuration: MIN_GAP_DURATION
+		})
+	)
+}
+
+/**
+ * Get the amount of lyrics in a block
+ * @param {Object} block - Block token
+ * @returns {number} Character count, at least 1
+ */
+const getBlockLength = (block) => {
+	const text = Array.isArray(block.lines) ? block.lines.map(line => getLineText(line)).join('') : block.text || ''
+	return Math.max(1, text.replace(/\s/g, '').length)
+}
+
+/**
+ * Suggest start and end times for every block
+ * @param {Array} blocks - Blocks of the karaoke data
+ * @param {Array} gaps - Vocal gaps from detectVocalGaps
+ * @param {number} durationMs - Audio duration in ms
+ * @returns {Array} Suggestions {blockIndex, start, end}
+ */
+export function suggestBlockBoundaries(blocks, gaps, durationMs) {
+	if (!Array.isArray(blocks) || blocks.length === 0 || !(durationMs > 0)) return []
+
+	// Intro and outro gaps bound the sung part of the song
+	const introGap = gaps.find(gap => gap.start <= EDGE_TOLERANCE)
+	const outroGap = gaps.find(gap => gap.end >= durationMs - EDGE_TOLERANCE && gap !== introGap)
+	const vocalStart = introGap ? introGap.end : 0
+	const vocalEnd = outroGap ? outroGap.start : durationMs
+	const vocalDuration = Math.max(1, vocalEnd - vocalStart)
+
+	// Expected boundaries from the lyrics per block
+	const lengths = blocks.map(getBlockLength)
+	const totalLength = lengths.reduce((sum, length) => sum + length, 0)
+	const expected = []
+	let lengthBefore = 0
+	lengths.slice(0, -1).forEach(length => {
+		lengthBefore += length
+		expected.push(vocalStart + vocalDuration * lengthBefore / totalLength)
+	})
+
+	// Longer gaps are stronger block separators
+	const innerGaps = gaps.filter(gap => gap.start > vocalStart && gap.end < vocalEnd)
+	const longestGap = innerGaps.reduce((max, gap) => Math.max(max, gap.end - gap.start), 0)
+	const candidates = innerGaps.map(gap => ({
+		time: (gap.start + gap.end) / 2,
+		strength: longestGap > 0 ? (gap.end - gap.start) / longestGap : 0,
+		gap
+	}))
+	const boundaryTimes = alignToOnsets(expected, candidates, vocalDuration)
+
+	// A chosen gap separates two blocks, a boundary without gap touches both
+	const separators = boundaryTimes.map(time => {
+		const candidate = candidates.find(c => c.time === time)
+		return candidate ? candidate.gap : {start: time, end: time}
+	})
+
+	// Boundaries without gap may fall between chosen gaps, keep blocks in order
+	let previousEnd = 0
+	return blocks.map((block, blockIndex) => {
+		const start = Math.max(previousEnd, blockIndex === 0 ? vocalStart : separators[blockIndex - 1].end)
+		const end = Math.max(start, blockIndex === blocks.length - 1 ? vocalEnd : separators[blockIndex].start)
+		previousEnd = end
+		return {blockIndex, start: Math.round(start), end: Math.round(end)}
+	})
+}
@@ -0,0 +1,126 @@
+/**
+ * Caption Export
+ *
+ * Converts karaoke data into line-level caption files.
+ * Features:
+ * - SRT cues from line start/end
+ * - WebVTT cues with optional <hh:mm:ss.mmm> word timestamps
+ * - WebVTT ::cue voice classes generated from voices
+ */
+
+import {getLineText, getWordText, isSpaceText} from './karaokeText'
+
+/**
+ * Format milliseconds as a caption timestamp
+ * @param {number} ms - Time in milliseconds
+ * @param {string} separator - Decimal separator (',' for SRT, '.' for WebVTT)
+ * @returns {string} Timestamp in HH:MM:SS,mmm format
+ */
+export function formatCaptionTimestamp(ms, separator = '.') {
+	const totalMs = Math.max(0, Math.round(ms || 0))
+	const hours = Math.floor(totalMs / 3600000)
+	const minutes = Math.floor((totalMs % 3600000) / 60000)
+	const seconds = Math.floor((totalMs % 60000) / 1000)
+	const milliseconds = totalMs % 1000
+	return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}${separator}${milliseconds.toString().padStart(3, '0')}`
+}
+
+/**
+ * Collect all lines with text, in time order
+ * @param {Object} data - Karaoke data
+ * @returns {Array} Lines with their effective voice id
+ */
+const getCaptionLines = (data) => {
+	return data.blocks
+		.flatMap(block => block.lines.map(line => ({...line, voice: line.voice || block.voice || 0})))
+		.filter(line => getLineText(line).trim() && line.end > line.start)
+		.sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Escape text for WebVTT cue payloads
+ * @param {string} text - Lyric text
+ * @returns {string} Escaped text
+ */
+const escapeVttText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+/**
+ * Build the WebVTT payload of a line with inline word timestamps
+ * Timestamps are only written strictly inside the cue as the spec requires
+ * @param {Object} line - Line token
+ * @returns {string} Cue text
+ */
+const buildTimedVttText = (line) => {
+	if (!Array.isArray(line.words) || line.words.length === 0) {
+		return escapeVttText(getLineText(line))
+	}
+
+	let text = ''
+	line.words.forEach(word => {
+		const wordText = getWordText(word)
+		if (!isSpaceText(wordText) && word.start > line.start && word.start < line.end) {
+			text += `<${formatCaptionTimestamp(word.start)}>`
+		}
+		text += escapeVttText(wordText)
+	})
+	return text
+}
+
+/**
+ * Export karaoke data as SRT captions
+ * @param {Object} data - Karaoke data
+ * @returns {string} SRT file content
+ */
+export function exportSrt(data) {
+	if (!data || !Array.isArray(data.blocks)) return ''
+
+	return getCaptionLines(data).map((line, index) => [
+		index + 1,
+		`${formatCaptionTimestamp(line.start, ',')} --> ${formatCaptionTimestamp(line.end, ',')}`,
+		getLineText(line).trim()
+	].join('\n')).join('\n\n') + '\n'
+}
+
+/**
+ * Export karaoke data as WebVTT captions
+ * @param {Object} data - Karaoke data with voices
+ * @param {Object} options - Export options
+ * @param {boolean} options.wordTimestamps - Add inline word timestamps
+ * @param {boolean} options.voiceClasses - Wrap cues in voice spans styled with ::cue
+ * @returns {string} WebVTT file content
+ */
+export function exportWebVtt(data, {wordTimestamps = false, voiceClasses = false} = {}) {
+	if (!data || !Array.isArray(data.blocks)) return ''
+
+	const voices = Array.isArray(data.voices) ? data.voices : []
+	const output = ['WEBVTT', '']
+
+	if (voiceClasses && voices.length > 0) {
+		output.push('STYLE')
+		voices.forEach(voice => {
+			output.push(`::cue(.voice${voice.id}) { color: ${voice.color}; }`)
+		})
+		output.push('')
+	}
+
+	getCaptionLines(data).forEach((line, index) => {
+		let text = wordTimestamps ? buildTimedVttText(line) : escapeVttText(getLineText(line))
+		text = text.trim()
+
+		const voice = voices.find(v => v.id === line.voice)
+		if (voiceClasses && voice) {
+			// Voice spans need an annotation, fall back to the voice number
+			const annotation = escapeVttText(voice.name || `Voice ${voice.id}`)
+			text = `<v.voice${voice.id} ${annotation}>${text}</v>`
+		}
+
+		output.push(
+			String(index + 1),
+			`${formatCaptionTimestamp(line.start)} --> ${formatCaptionTimestamp(line.end)}`,
+			text,
+			''
+		)
+	})
+
+	return output.join('\n')
+}
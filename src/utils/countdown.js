@@ -0,0 +1,64 @@
+/**
+ * Countdown
+ *
+ * Entry cues for lines that follow a long instrumental part.
+ * Features:
+ * - Long gaps found from the line timings, including the intro before the first line
+ * - Countdown beats (dots or 3-2-1) in the last seconds of a gap
+ * - Time left until the next line for the instrumental placeholder
+ */
+
+export const COUNTDOWN_STYLES = [
+	{value: 'dots', label: 'Dots (● ● ●)'},
+	{value: 'numbers', label: 'Numbers (3-2-1)'},
+	{value: 'off', label: 'Off'}
+]
+
+export const COUNTDOWN_BEATS = 3
+const BEAT_DURATION = 1000 // ms per countdown beat
+
+/**
+ * Find the gaps without singing that are at least a minimum length
+ * Overlapping lines of different voices count as one sung stretch
+ * @param {Object} data - Karaoke data with timing
+ * @param {number} minGapMs - Minimum gap length in ms
+ * @returns {Array} Gaps {start, end, line, voice} sorted by time, line is the line after the gap
+ */
+export function findLongGaps(data, minGapMs) {
+	const lines = []
+	const blocks = data?.blocks || []
+	blocks.forEach(block => {
+		block.lines.forEach(line => {
+			if (line.end > line.start) {
+				lines.push({line, voice: line.voice || block.voice || 0})
+			}
+		})
+	})
+	lines.sort((a, b) => a.line.start - b.line.start)
+
+	const gaps = []
+	let sungUntil = 0 // The intro counts as a gap before the first line
+	lines.forEach(({line, voice}) => {
+		if (line.start - sungUntil >= minGapMs) {
+			gaps.push({start: sungUntil, end: line.start, line, voice})
+		}
+		sungUntil = Math.max(sungUntil, line.end)
+	})
+	return gaps
+}
+
+/**
+ * Get the gap indicator for a point in time
+ * @param {Array} gaps - Gaps from findLongGaps
+ * @param {number} timeMs - Playback time in ms
+ * @returns {Object|null} {gap, remaining, beat} with remaining ms until the next line and
+ *   beat counting down from COUNTDOWN_BEATS to 1 in the last beats, 0 before; null outside long gaps
+ */
+export function getGapIndicator(gaps, timeMs) {
+	const gap = gaps.find(g => timeMs >= g.start && timeMs < g.end)
+	if (!gap) return null
+
+	const remaining = gap.end - timeMs
+	const beat = remaining <= COUNTDOWN_BEATS * BEAT_DURATION ? Math.ceil(remaining / BEAT_DURATION) : 0
+	return {gap, remaining, beat}
+}
@@ -0,0 +1,24 @@
+/**
+ * Download Utilities
+ *
+ * Helpers for handing generated files to the browser as downloads.
+ */
+
+/**
+ * Trigger a browser download for text content
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadTextFile(content, filename, mimeType = 'text/plain') {
+	const dataBlob = new Blob([content], { type: mimeType })
+	const url = URL.createObjectURL(dataBlob)
+
+	const link = document.createElement('a')
+	link.href = url
+	link.download = filename
+	document.body.appendChild(link)
+	link.click()
+	document.body.removeChild(link)
+	URL.revokeObjectURL(url)
+}
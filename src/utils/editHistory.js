@@ -0,0 +1,80 @@
+/**
+ * Edit History
+ *
+ * Snapshot based undo/redo stacks for the timing editor.
+ * Features:
+ * - Labeled entries holding the state before each edit
+ * - Quick consecutive edits with the same merge key collapse into one entry
+ * - Limited stack size to bound memory use
+ */
+
+// Maximum number of undo steps kept
+const HISTORY_LIMIT = 100
+
+// Edits with the same merge key closer together than this are merged (ms)
+const MERGE_WINDOW = 2000
+
+/**
+ * Create empty history stacks
+ * @returns {Object} History with past and future entries
+ */
+export function createHistory() {
+	return {past: [], future: []}
+}
+
+/**
+ * Record an edit, storing the state before it
+ * Clears the redo stack like every editor does
+ * @param {Object} history - Current history
+ * @param {string} label - Description of the edit
+ * @param {Object} snapshot - State before the edit
+ * @param {string} mergeKey - Edits with the same key as the previous entry are merged
+ * @returns {Object} New history
+ */
+export function pushHistoryEntry(history, label, snapshot, mergeKey = null) {
+	const lastEntry = history.past[history.past.length - 1]
+	if (mergeKey && lastEntry?.mergeKey === mergeKey && history.future.length === 0 &&
+		Date.now() - lastEntry.time < MERGE_WINDOW) {
+		// Keep the older snapshot, extend the merge window
+		return {
+			past: [...history.past.slice(0, -1), {...lastEntry, time: Date.now()}],
+			future: []
+		}
+	}
+
+	const past = [...history.past, {label, snapshot, mergeKey, time: Date.now()}]
+	return {
+		past: past.slice(-HISTORY_LIMIT),
+		future: []
+	}
+}
+
+/**
+ * Step backward or forward through the history
+ * @param {Object} history - Current history
+ * @param {Object} currentSnapshot - State right now
+ * @param {number} steps - Negative to undo, positive to redo
+ * @returns {Object} New history and the snapshot to restore (null if nothing moved)
+ */
+export function travelHistory(history, currentSnapshot, steps) {
+	const past = [...history.past]
+	const future = [...history.future]
+	let snapshot = currentSnapshot
+	let moved = false
+
+	for (let i = 0; i < Math.abs(steps); i++) {
+		const from = steps < 0 ? past : future
+		const to = steps < 0 ? future : past
+		if (from.length === 0) break
+
+		const entry = from.pop()
+		to.push({...entry, snapshot})
+		snapshot = entry.snapshot
+		moved = true
+	}
+
+	return {
+		history: {past, future},
+		snapshot: moved ? snapshot : null
+	}
+}
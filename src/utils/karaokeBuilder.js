@@ -0,0 +1,183 @@
+/**
+ * Karaoke Data Builder
+ *
+ * Shared constructors for the block/line/word/char token structure.
+ * Used by the lyrics input step and by the file importers so every
+ * source produces the same shape that TimingSyncPage expects.
+ * Words also carry syllables, a layer between words and chars.
+ * Words and chars may carry a reading (furigana) entered as 漢字{かんじ}.
+ */
+
+import {getWordText} from './karaokeText'
+import {splitSyllables, stripSyllableMarkers} from './syllables'
+import {segmentGraphemes, segmentWords} from './textSegmentation'
+import {fitWordsToRuby, parseRubyMarkup} from './ruby'
+
+export const KARAOKE_FORMAT_VERSION = "1"
+
+/**
+ * Create the default voice list for a new karaoke file
+ * @returns {Array} Voices array with a single centered voice
+ */
+export function createDefaultVoices() {
+	return [
+		{
+			id: 1,
+			name: "",
+			default_position: "C",
+			color: "#87CEEB"
+		}
+	]
+}
+
+/**
+ * Split line text into word and space tokens
+ * Lines in scripts without spaces (Japanese, Chinese, Thai) are split into dictionary words
+ * @param {string} lineText - Text of a single line
+ * @param {string} language - Project language
+ * @returns {Array<string>} Words with the separating spaces kept as own tokens
+ */
+export function splitWords(lineText, language = 'en') {
+	return segmentWords(lineText, language)
+}
+
+/**
+ * Split word text into character tokens
+ * @param {string} wordText - Text of a single word
+ * @param {string} language - Project language
+ * @returns {Array<string>} Grapheme clusters of the word
+ */
+export function splitChars(wordText, language = 'en') {
+	return segmentGraphemes(wordText, language)
+}
+
+/**
+ * Create a char token
+ * @param {string} text - Character text
+ * @param {Object} timing - Optional start/end in ms and voice id
+ * @returns {Object} Char token
+ */
+export function createCharToken(text, {start = 0, end = 0, voice = 0} = {}) {
+	return {
+		text,
+		start,
+		end,
+		voice, // 0 = undefined, will be set during recording
+		position: ""
+	}
+}
+
+/**
+ * Create a syllable token
+ * @param {string} text - Syllable text
+ * @param {Object} timing - Optional start/end in ms and voice id
+ * @returns {Object} Syllable token
+ */
+export function createSyllableToken(text, {start = 0, end = 0, voice = 0} = {}) {
+	return {
+		text,
+		start,
+		end,
+		voice, // 0 = undefined, will be set during recording
+		position: ""
+	}
+}
+
+/**
+ * Create a word token with its syllables and chars
+ * @param {string} text - Word text, may contain | syllable markers and {reading} markup
+ * @param {Object} timing - Optional start/end in ms, voice id and project language
+ * @returns {Object} Word token
+ */
+export function createWordToken(text, {start = 0, end = 0, voice = 0, language = 'en'} = {}) {
+	const {text: markedText, annotations} = parseRubyMarkup(text)
+	const wordText = stripSyllableMarkers(markedText)
+	const word = {
+		text: wordText,
+		start,
+		end,
+		voice, // 0 = undefined, will be set during recording
+		position: "",
+		syllables: splitSyllables(markedText, language).map(syllableText => createSyllableToken(syllableText)),
+		chars: splitChars(wordText, language).map(charText => createCharToken(charText))
+	}
+
+	// A reading of the whole word belongs to the word, others to the first char of their base
+	annotations.forEach(annotation => {
+		if (annotation.start === 0 && annotation.end === markedText.length) {
+			word.reading = annotation.reading
+			return
+		}
+		const charIndex = splitChars(stripSyllableMarkers(markedText.slice(0, annotation.start)), language).length
+		if (word.chars[charIndex]) {
+			word.chars[charIndex].reading = annotation.reading
+		}
+	})
+
+	return word
+}
+
+/**
+ * Create a line token
+ * @param {string} text - Line text, may contain | syllable markers and {reading} markup
+ * @param {Object} timing - Optional start/end in ms, voice id, prebuilt words and project language
+ * @returns {Object} Line token
+ */
+export function createLineToken(text, {start = 0, end = 0, voice = 0, words = null, language = 'en'} = {}) {
+	// Annotated bases become words of their own before the markup is removed
+	const {text: markedText, annotations} = parseRubyMarkup(text)
+	const countChars = (wordText) => splitChars(stripSyllableMarkers(wordText), language).length
+	const wordTexts = fitWordsToRuby(splitWords(markedText, language), annotations, countChars)
+
+	return {
+		text: stripSyllableMarkers(markedText),
+		start,
+		end,
+		voice, // 0 = undefined, will be set during recording
+		position: "",
+		words: words || wordTexts.map(wordText => createWordToken(wordText, {language}))
+	}
+}
+
+/**
+ * Create a block token
+ * @param {Array} lines - Line tokens of the block
+ * @param {Object} timing - Optional start/end in ms and voice id
+ * @returns {Object} Block token
+ */
+export function createBlockToken(lines, {start = 0, end = 0, voice = 0} = {}) {
+	return {
+		text: "",
+		start,
+		end,
+		voice, // 0 = undefined, will be set during recording
+		position: "C",
+		lines
+	}
+}
+
+/**
+ * Add syllables to words that don't have any
+ * Syllables are optional in the format (exports drop untimed ones), this is the one
+ * place that fills them in for editing, used for every load of the timing editor
+ * @param {Object} data - Karaoke data
+ * @returns {Object} The same data if complete, otherwise a copy with syllables
+ */
+export function addMissingSyllables(data) {
+	const isMissing = (word) => !Array.isArray(word.syllables)
+	const hasMissing = data?.blocks?.some(block =>
+		(block.lines || []).some(line => (line.words || []).some(isMissing))
+	)
+	if (!hasMissing) return data
+
+	const completedData = JSON.parse(JSON.stringify(data)) // Deep copy
+	completedData.blocks.forEach(block => {
+		(block.lines || []).forEach(line => {
+			(line.words || []).filter(isMissing).forEach(word => {
+				word.syllables = splitSyllables(getWordText(word), data.language)
+					.map(syllableText => createSyllableToken(syllableText, {voice: word.voice || 0}))
+			})
+		})
+	})
+	return completedData
+}
@@ -0,0 +1,136 @@
+/**
+ * Karaoke Format Migrations
+ *
+ * Upgrades karaoke files from older format versions to the current one.
+ * Features:
+ * - Ordered migration steps, one per version bump
+ * - List of the migrations that ran for the load report
+ * - Refuses files written by a newer version of the app
+ *
+ * To change the format, bump KARAOKE_FORMAT_VERSION and append a step
+ * to MIGRATIONS that upgrades the previous version.
+ *
+ * Syllables are optional in every version, so they are not migrated: exports
+ * drop untimed syllables, and the timing editor fills missing ones with
+ * addMissingSyllables from karaokeBuilder whenever it loads data.
+ */
+
+import {KARAOKE_FORMAT_VERSION, createCharToken, createDefaultVoices, splitChars} from './karaokeBuilder'
+
+// Files without a version field predate versioning
+const UNVERSIONED = "0"
+
+/**
+ * Walk all tokens of karaoke data
+ * @param {Object} data - Karaoke data
+ * @param {Function} callback - Called with (token, type, parent)
+ */
+const forEachToken = (data, callback) => {
+	if (!Array.isArray(data.blocks)) return
+	data.blocks.forEach(block => {
+		callback(block, 'block', null)
+		if (!Array.isArray(block.lines)) return
+		block.lines.forEach(line => {
+			callback(line, 'line', block)
+			if (!Array.isArray(line.words)) return
+			line.words.forEach(word => {
+				callback(word, 'word', line)
+				if (Array.isArray(word.syllables)) {
+					word.syllables.forEach(syllable => callback(syllable, 'syllable', word))
+				}
+				if (!Array.isArray(word.chars)) return
+				word.chars.forEach(char => callback(char, 'char', word))
+			})
+		})
+	})
+}
+
+/**
+ * Migration steps, each upgrading `from` to `to`
+ */
+const MIGRATIONS = [
+	{
+		from: UNVERSIONED,
+		to: "1",
+		description: 'Converted voice indexes to voice ids, added missing voices, chars, voice and position fields',
+		migrate: (data) => {
+			if (!Array.isArray(data.voices) || data.voices.length === 0) {
+				data.voices = createDefaultVoices()
+			}
+
+			// Unversioned files referenced voices by 1-based index, 0 meant undefined
+			const voiceIdByIndex = (index) => {
+				if (typeof index !== 'number' || index <= 0) return 0
+				return data.voices[index - 1]?.id ?? index
+			}
+
+			forEachToken(data, (token, type) => {
+				token.voice = voiceIdByIndex(token.voice)
+				if (token.position === undefined) {
+					token.position = type === 'block' ? "C" : ""
+				}
+				if (type === 'word' && !Array.isArray(token.chars) && typeof token.text === 'string') {
+					token.chars = splitChars(token.text, data.language).map(charText => createCharToken(charText))
+				}
+			})
+
+			return data
+		}
+	}
+]
+
+/**
+ * Read the format version of karaoke data
+ * @param {Object} data - Karaoke data
+ * @returns {string} Version string, "0" for unversioned files
+ */
+export function getKaraokeVersion(data) {
+	if (data.version === undefined || data.version === null || data.version === '') {
+		return UNVERSIONED
+	}
+	return String(data.version)
+}
+
+/**
+ * Upgrade karaoke data to the current format version
+ * @param {Object} data - Parsed karaoke JSON (not modified)
+ * @returns {Object} Migrated data and the migrations that ran, or an error message
+ */
+export function migrateKaraokeData(data) {
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		return {data, migrations: [], error: null}
+	}
+
+	const fileVersion = getKaraokeVersion(data)
+	if (Number(fileVersion) > Number(KARAOKE_FORMAT_VERSION)) {
+		return {
+			data: null,
+			migrations: [],
+			error: `This file uses format version ${fileVersion}, but this app only supports up to version ${KARAOKE_FORMAT_VERSION}. Please update the app to open it.`
+		}
+	}
+
+	let migratedData = JSON.parse(JSON.stringify(data)) // Deep copy
+	const migrations = []
+	let version = fileVersion
+
+	while (version !== KARAOKE_FORMAT_VERSION) {
+		const step = MIGRATIONS.find(migration => migration.from === version)
+		if (!step) {
+			return {
+				data: null,
+				migrations,
+				error: `No migration available for format version ${version}`
+			}
+		}
+
+		migratedData = step.migrate(migratedData)
+		migratedData.version = step.to
+		migrations.push({from: step.from, to: step.to, description: step.description})
+		console.log(`Migrated karaoke data from version ${step.from} to ${step.to}`)
+		version = step.to
+	}
+	migratedData.version = KARAOKE_FORMAT_VERSION
+
+	return {data: migratedData, migrations, error: null}
+}
@@ -0,0 +1,285 @@
+/**
+ * Karaoke JSON Schema Validation
+ *
+ * Single validator for the current karaoke format used by every loader.
+ * Features:
+ * - Structural checks for voices, blocks, lines, words, syllables and chars
+ * - Timing checks (numeric, start <= end, monotonic siblings, children inside parent)
+ * - Voice references checked against the voices list
+ * - Optional readings (ruby text) of words and chars
+ * - Optional translation and romanization of lines
+ * - Errors and warnings reported with paths like blocks[3].lines[1].words[2]
+ */
+
+import {KARAOKE_FORMAT_VERSION} from './karaokeBuilder'
+import {migrateKaraokeData} from './karaokeMigrations'
+import {isTimedToken} from './karaokeText'
+
+export const VOICE_POSITIONS = ['C', 'L', 'R', 'U', 'D', 'TL', 'TR', 'DL', 'DR']
+
+// Child collection of each token level
+const CHILD_LEVELS = {
+	block: {key: 'lines', type: 'line'},
+	line: {key: 'words', type: 'word'},
+	word: {key: 'chars', type: 'char'},
+	char: null
+}
+
+/**
+ * Check if a value is a finite number
+ * @param {*} value - Value to check
+ * @returns {boolean} True for finite numbers
+ */
+const isNumber = (value) => typeof value === 'number' && isFinite(value)
+
+/**
+ * Validate karaoke data against the current format version
+ * @param {Object} data - Parsed karaoke JSON
+ * @returns {Object} Report with valid flag, errors and warnings
+ */
+export function validateKaraokeData(data) {
+	const errors = []
+	const warnings = []
+	const error = (path, message) => errors.push({path, message})
+	const warning = (path, message) => warnings.push({path, message})
+
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		error('', 'Karaoke file must contain a JSON object')
+		return {valid: false, errors, warnings}
+	}
+
+	// Version
+	if (data.version === undefined) {
+		warning('version', `Missing version, assuming "${KARAOKE_FORMAT_VERSION}"`)
+	} else if (String(data.version) !== KARAOKE_FORMAT_VERSION) {
+		error('version', `Unsupported version "${data.version}", expected "${KARAOKE_FORMAT_VERSION}"`)
+	}
+
+	// Optional metadata
+	const metadataKeys = ['audioFile', 'title', 'artist', 'language', 'direction']
+	metadataKeys.forEach(key => {
+		if (data[key] !== undefined && data[key] !== null && typeof data[key] !== 'string') {
+			warning(key, `${key} should be a string`)
+		}
+	})
+	if (typeof data.direction === 'string' && !['auto', 'ltr', 'rtl'].includes(data.direction)) {
+		warning('direction', `Unknown direction "${data.direction}", lines are detected automatically`)
+	}
+
+	// Voices
+	const voiceIds = new Set()
+	if (data.voices === undefined) {
+		warning('voices', 'Missing voices, a default voice will be used')
+	} else if (!Array.isArray(data.voices)) {
+		error('voices', 'voices must be an array')
+	} else {
+		data.voices.forEach((voice, index) => {
+			const path = `voices[${index}]`
+			if (!voice || typeof voice !== 'object') {
+				error(path, 'Voice must be an object')
+				return
+			}
+			if (!isNumber(voice.id)) {
+				error(`${path}.id`, 'Voice id must be a number')
+			} else if (voiceIds.has(voice.id)) {
+				error(`${path}.id`, `Duplicate voice id ${voice.id}`)
+			} else {
+				voiceIds.add(voice.id)
+			}
+			if (voice.name !== undefined && typeof voice.name !== 'string') {
+				warning(`${path}.name`, 'Voice name should be a string')
+			}
+			if (voice.color !== undefined && !/^#[0-9a-f]{6}$/i.test(voice.color)) {
+				warning(`${path}.color`, `Color "${voice.color}" is not a #RRGGBB value`)
+			}
+			if (voice.default_position !== undefined && !VOICE_POSITIONS.includes(voice.default_position)) {
+				warning(`${path}.default_position`, `Unknown position "${voice.default_position}"`)
+			}
+		})
+
+		// Combined voices list the voices singing them, checked once all ids are known
+		data.voices.forEach((voice, index) => {
+			if (!voice || voice.members === undefined) return
+			const path = `voices[${index}].members`
+			if (!Array.isArray(voice.members)) {
+				warning(path, 'members should be an array of voice ids')
+				return
+			}
+			voice.members.forEach(id => {
+				if (!voiceIds.has(id) || id === voice.id) {
+					warning(path, `Member ${id} is not another defined voice`)
+				}
+			})
+		})
+	}
+
+	/**
+	 * Validate a token and recurse into its children
+	 * @param {Object} token - Token to validate
+	 * @param {string} type - 'block', 'line', 'word', 'syllable' or 'char'
+	 * @param {string} path - Path of the token
+	 * @param {Object} parent - Parent token or null
+	 */
+	const validateToken = (token, type, path, parent) => {
+		if (!token || typeof token !== 'object' || Array.isArray(token)) {
+			error(path, `${type} must be an object`)
+			return
+		}
+
+		if (token.text !== undefined && typeof token.text !== 'string') {
+			error(`${path}.text`, 'text must be a string')
+		}
+
+		// Optional secondary lines shown under the sung line
+		if (type === 'line') {
+			['translation', 'romanization'].forEach(key => {
+				if (token[key] !== undefined && typeof token[key] !== 'string') {
+					warning(`${path}.${key}`, `${key} should be a string`)
+				}
+			})
+		}
+
+		// Optional ruby reading (furigana) of words and chars
+		if (token.reading !== undefined) {
+			if (type !== 'word' && type !== 'char') {
+				warning(`${path}.reading`, `Readings are only shown on words and chars, not on a ${type}`)
+			} else if (typeof token.reading !== 'string') {
+				error(`${path}.reading`, 'reading must be a string')
+			}
+		}
+
+		// Timing
+		const hasStart = isNumber(token.start)
+		const hasEnd = isNumber(token.end)
+		if (!hasStart) error(`${path}.start`, 'start must be a number (ms)')
+		if (!hasEnd) error(`${path}.end`, 'end must be a number (ms)')
+		if (hasStart && hasEnd) {
+			if (token.start < 0 || token.end < 0) {
+				error(path, 'Timestamps must not be negative')
+			}
+			if (token.start > token.end) {
+				error(path, `start (${token.start}) is after end (${token.end})`)
+			}
+			if (parent && isTimedToken(token) && isTimedToken(parent) &&
+				(token.start < parent.start || token.end > parent.end)) {
+				warning(path, `Timing ${token.start}-${token.end} lies outside its parent ${parent.start}-${parent.end}`)
+			}
+		}
+
+		// Voice reference, 0 means undefined
+		if (token.voice !== undefined && token.voice !== 0) {
+			if (!isNumber(token.voice)) {
+				error(`${path}.voice`, 'voice must be a voice id number')
+			} else if (Array.isArray(data.voices) && !voiceIds.has(token.voice)) {
+				warning(`${path}.voice`, `Voice ${token.voice} is not defined in voices`)
+			}
+		}
+
+		if (token.position !== undefined && token.position !== '' && !VOICE_POSITIONS.includes(token.position)) {
+			warning(`${path}.position`, `Unknown position "${token.position}"`)
+		}
+
+		// Syllables are an optional layer next to the chars of a word
+		if (type === 'word' && token.syllables !== undefined) {
+			if (!Array.isArray(token.syllables)) {
+				error(`${path}.syllables`, 'syllables must be an array')
+			} else {
+				validateSiblings(token.syllables, 'syllable', `${path}.syllables`, token)
+				const syllableText = token.syllables.map(syllable => syllable?.text || '').join('')
+				if (token.text && syllableText !== token.text) {
+					warning(`${path}.syllables`, `Syllables "${syllableText}" don't match the word "${token.text}"`)
+				}
+			}
+		}
+
+		// Children
+		const child = CHILD_LEVELS[type]
+		if (!child) return
+		const children = token[child.key]
+		if (children === undefined) {
+			if (type === 'block') error(`${path}.lines`, 'Block must contain a lines array')
+			return
+		}
+		if (!Array.isArray(children)) {
+			error(`${path}.${child.key}`, `${child.key} must be an array`)
+			return
+		}
+		if (type === 'block' && children.length === 0) {
+			warning(`${path}.lines`, 'Block has no lines')
+		}
+
+		validateSiblings(children, child.type, `${path}.${child.key}`, token)
+	}
+
+	/**
+	 * Validate a list of sibling tokens and their start order
+	 * @param {Array} tokens - Sibling tokens
+	 * @param {string} type - Token type of the siblings
+	 * @param {string} path - Path of the array
+	 * @param {Object} parent - Parent token or null
+	 */
+	const validateSiblings = (tokens, type, path, parent) => {
+		let previousStart = null
+		tokens.forEach((token, index) => {
+			const tokenPath = `${path}[${index}]`
+			validateToken(token, type, tokenPath, parent)
+
+			if (token && isTimedToken(token)) {
+				if (previousStart !== null && token.start < previousStart) {
+					warning(tokenPath, `Starts at ${token.start}ms, before the previous ${type} (${previousStart}ms)`)
+				}
+				previousStart = token.start
+			}
+		})
+	}
+
+	// Blocks
+	if (!Array.isArray(data.blocks)) {
+		error('blocks', 'blocks must be an array')
+	} else {
+		if (data.blocks.length === 0) {
+			warning('blocks', 'File contains no blocks')
+		}
+		validateSiblings(data.blocks, 'block', 'blocks', null)
+	}
+
+	return {valid: errors.length === 0, errors, warnings}
+}
+
+/**
+ * Parse, migrate and validate karaoke JSON text
+ * Older format versions are upgraded before validation
+ * @param {string} text - Raw file content
+ * @returns {Object} Parsed data (null on errors), errors, warnings and migrations that ran
+ */
+export function parseKaraokeJson(text) {
+	let data
+	try {
+		data = JSON.parse(text)
+	} catch (parseError) {
+		return {
+			data: null,
+			errors: [{path: '', message: `Invalid JSON: ${parseError.message}`}],
+			warnings: [],
+			migrations: []
+		}
+	}
+
+	const {data: migratedData, migrations, error: migrationError} = migrateKaraokeData(data)
+	if (migrationError) {
+		return {
+			data: null,
+			errors: [{path: 'version', message: migrationError}],
+			warnings: [],
+			migrations
+		}
+	}
+
+	const report = validateKaraokeData(migratedData)
+	return {
+		data: report.valid ? migratedData : null,
+		errors: report.errors,
+		warnings: report.warnings,
+		migrations
+	}
+}
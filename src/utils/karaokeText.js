@@ -0,0 +1,55 @@
+/**
+ * Karaoke Text Helpers
+ *
+ * cleanupTimingData clears the text of every token that has children,
+ * so exporters have to rebuild it from the lowest level that is present.
+ * Tokens with start and end both 0 are untimed everywhere in the app.
+ */
+
+/**
+ * Get the display text of a word, rebuilding it from chars if needed
+ * @param {Object} word - Word token
+ * @returns {string} Word text
+ */
+export function getWordText(word) {
+	if (!word) return ''
+	if (word.text) return word.text
+	if (Array.isArray(word.chars)) {
+		return word.chars.map(char => char.text || '').join('')
+	}
+	return ''
+}
+
+/**
+ * Get the display text of a line, rebuilding it from words if needed
+ * @param {Object} line - Line token
+ * @returns {string} Line text
+ */
+export function getLineText(line) {
+	if (!line) return ''
+	if (line.text) return line.text
+	if (Array.isArray(line.words)) {
+		return line.words.map(getWordText).join('')
+	}
+	return ''
+}
+
+/**
+ * Check if a token text only contains whitespace
+ * @param {string} text - Text of a word or char token
+ * @returns {boolean} True for space tokens
+ */
+export function isSpaceText(text) {
+	return typeof text === 'string' && text.length > 0 && text.trim() === ''
+}
+
+/**
+ * Check if a token carries recorded timing
+ * @param {Object} token - Any token
+ * @returns {boolean} True if start and end are numbers and not both 0
+ */
+export function isTimedToken(token) {
+	return typeof token.start === 'number' && typeof token.end === 'number' &&
+		isFinite(token.start) && isFinite(token.end) &&
+		(token.start !== 0 || token.end !== 0)
+}
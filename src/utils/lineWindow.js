@@ -0,0 +1,71 @@
+/**
+ * Line Window
+ *
+ * Picks the few lines shown by the compact playback layouts.
+ * Features:
+ * - Current line: the first line that has not ended yet, so gaps already show the next line
+ * - Classic two-line mode with lines alternating between a top and a bottom slot
+ * - Window of past and upcoming lines around the current line
+ */
+
+/**
+ * Flatten karaoke data into lines in song order
+ * @param {Object} data - Karaoke data
+ * @returns {Array} Entries {line, block, blockIndex, lineIndex}
+ */
+export function getSongLines(data) {
+	const entries = []
+	const blocks = data?.blocks || []
+	blocks.forEach((block, blockIndex) => {
+		block.lines.forEach((line, lineIndex) => {
+			entries.push({line, block, blockIndex, lineIndex})
+		})
+	})
+	return entries.sort((a, b) => a.line.start - b.line.start)
+}
+
+/**
+ * Get the index of the current line
+ * @param {Array} entries - Entries from getSongLines
+ * @param {number} timeMs - Playback time in ms
+ * @returns {number} Index of the first line not ended yet, the last line after the song, -1 without lines
+ */
+export function getCurrentLineIndex(entries, timeMs) {
+	const index = entries.findIndex(({line}) => line.end > timeMs)
+	return index === -1 ? entries.length - 1 : index
+}
+
+/**
+ * Get the lines of the two-line mode
+ * Even lines are shown in the top slot and odd lines in the bottom slot,
+ * so the next line is already waiting in the other slot while the current one is sung
+ * @param {Array} entries - Entries from getSongLines
+ * @param {number} timeMs - Playback time in ms
+ * @returns {Array} [top, bottom] entries, null for an empty slot
+ */
+export function getTwoLineSlots(entries, timeMs) {
+	const current = getCurrentLineIndex(entries, timeMs)
+	const slots = [null, null]
+	if (current === -1) return slots
+
+	slots[current % 2] = entries[current]
+	slots[(current + 1) % 2] = entries[current + 1] || null
+	return slots
+}
+
+/**
+ * Get a window of lines around the current line
+ * @param {Array} entries - Entries from getSongLines
+ * @param {number} timeMs - Playback time in ms
+ * @param {number} pastCount - Lines shown before the current line
+ * @param {number} upcomingCount - Lines shown after the current line
+ * @returns {Array} Entries with an added offset (negative for past lines, 0 for the current line)
+ */
+export function getLineWindow(entries, timeMs, pastCount, upcomingCount) {
+	const current = getCurrentLineIndex(entries, timeMs)
+	if (current === -1) return []
+
+	return entries
+		.slice(Math.max(0, current - pastCount), current + upcomingCount + 1)
+		.map(entry => ({...entry, offset: entries.indexOf(entry) - current}))
+}
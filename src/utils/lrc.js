@@ -0,0 +1,298 @@
+/**
+ * LRC Format Utilities
+ *
+ * Converts karaoke data to and from LRC files.
+ * Features:
+ * - Standard line-level LRC ([mm:ss.xx] per line)
+ * - Enhanced LRC with word-level <mm:ss.xx> inline tags
+ * - [ti:] / [ar:] / [length:] / [offset:] header tags
+ */
+
+import {getLineText, getWordText, isSpaceText} from './karaokeText'
+import {
+	KARAOKE_FORMAT_VERSION,
+	createBlockToken,
+	createDefaultVoices,
+	createLineToken,
+	createWordToken,
+	splitWords
+} from './karaokeBuilder'
+
+/**
+ * Format milliseconds as an LRC timestamp
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} Timestamp in mm:ss.xx format
+ */
+export function formatLrcTimestamp(ms) {
+	const totalCentiseconds = Math.max(0, Math.round((ms || 0) / 10))
+	const minutes = Math.floor(totalCentiseconds / 6000)
+	const seconds = Math.floor((totalCentiseconds % 6000) / 100)
+	const centiseconds = totalCentiseconds % 100
+	return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}.${centiseconds.toString().padStart(2, '0')}`
+}
+
+/**
+ * Build the Enhanced LRC body of a line from its words
+ * Every sung word gets a <mm:ss.xx> start tag, the line closes with its end time
+ * @param {Object} line - Line token with words
+ * @returns {string} Line text with inline word tags
+ */
+const buildEnhancedLineText = (line) => {
+	let text = ''
+	line.words.forEach(word => {
+		const wordText = getWordText(word)
+		if (isSpaceText(wordText)) {
+			text += wordText
+		} else {
+			text += `<${formatLrcTimestamp(word.start)}>${wordText}`
+		}
+	})
+	return `${text}<${formatLrcTimestamp(line.end)}>`
+}
+
+/**
+ * Export karaoke data as LRC text
+ * @param {Object} data - Cleaned karaoke data (see cleanupTimingData)
+ * @param {Object} options - Export options
+ * @param {boolean} options.enhanced - Write word-level Enhanced LRC tags
+ * @param {string} options.title - Value for the [ti:] tag
+ * @param {string} options.artist - Value for the [ar:] tag
+ * @returns {string} LRC file content
+ */
+export function exportLrc(data, {enhanced = false, title = '', artist = ''} = {}) {
+	if (!data || !Array.isArray(data.blocks)) return ''
+
+	const output = []
+
+	// Header tags
+	if (title) output.push(`[ti:${title}]`)
+	if (artist) output.push(`[ar:${artist}]`)
+	const lastBlock = data.blocks[data.blocks.length - 1]
+	if (lastBlock && lastBlock.end > 0) {
+		output.push(`[length:${formatLrcTimestamp(lastBlock.end).slice(0, 5)}]`)
+	}
+	if (output.length > 0) output.push('')
+
+	data.blocks.forEach((block, blockIndex) => {
+		let lastLineEnd = 0
+
+		block.lines.forEach(line => {
+			const hasTimedWords = Array.isArray(line.words) &&
+				line.words.some(word => word.start > 0 || word.end > 0)
+			const lineText = enhanced && hasTimedWords
+				? buildEnhancedLineText(line)
+				: getLineText(line)
+
+			output.push(`[${formatLrcTimestamp(line.start)}]${lineText}`)
+			lastLineEnd = Math.max(lastLineEnd, line.end || 0)
+		})
+
+		// Empty timed line clears the display during instrumental gaps
+		const clearTime = Math.max(block.end || 0, lastLineEnd)
+		const nextBlock = data.blocks[blockIndex + 1]
+		if (clearTime > 0 && (!nextBlock || clearTime < nextBlock.start)) {
+			output.push(`[${formatLrcTimestamp(clearTime)}]`)
+		}
+	})
+
+	return output.join('\n') + '\n'
+}
+
+// Fallback duration for the last line when the file gives no end time
+const DEFAULT_LAST_LINE_DURATION = 4000
+
+const LINE_TAG_PATTERN = /^\[(\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?)\]/
+const WORD_TAG_PATTERN = /<(\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?)>/
+const HEADER_PATTERN = /^\[([a-z]+):(.*)\]$/i
+
+/**
+ * Parse an LRC timestamp into milliseconds
+ * Accepts mm:ss, mm:ss.x, mm:ss.xx and mm:ss.xxx
+ * @param {string} timestamp - Timestamp without brackets
+ * @returns {number} Time in milliseconds
+ */
+export function parseLrcTimestamp(timestamp) {
+	const [minutes, rest] = timestamp.split(':')
+	const [seconds, fraction = ''] = rest.split(/[.:]/)
+	const fractionMs = fraction ? Math.round(parseInt(fraction, 10) * Math.pow(10, 3 - fraction.length)) : 0
+	return parseInt(minutes, 10) * 60000 + parseInt(seconds, 10) * 1000 + fractionMs
+}
+
+/**
+ * Build word tokens for a line body that contains Enhanced LRC word tags
+ * @param {Array} segments - Text segments with their start times
+ * @param {number} lineEnd - End time of the line in ms
+ * @param {string} language - Project language for word and char segmentation
+ * @returns {Array} Word tokens with timing
+ */
+const buildTimedWords = (segments, lineEnd, language) => {
+	const words = []
+
+	segments.forEach((segment, index) => {
+		const segmentEnd = index < segments.length - 1 ? segments[index + 1].start : lineEnd
+		const segmentWords = splitWords(segment.text, language)
+		const sungCount = segmentWords.filter(text => !isSpaceText(text)).length
+		const wordDuration = sungCount > 0 ? (segmentEnd - segment.start) / sungCount : 0
+		let cursor = segment.start
+
+		segmentWords.forEach(wordText => {
+			if (isSpaceText(wordText)) {
+				// Spaces sit between two sung words and take no time
+				const spaceTime = Math.round(cursor)
+				words.push(createWordToken(wordText, {start: spaceTime, end: spaceTime, voice: 1, language}))
+			} else {
+				words.push(createWordToken(wordText, {
+					start: Math.round(cursor),
+					end: Math.round(cursor + wordDuration),
+					voice: 1,
+					language
+				}))
+				cursor += wordDuration
+			}
+		})
+	})
+
+	// Drop leading and trailing spaces so the line text is trimmed
+	while (words.length > 0 && isSpaceText(words[0].text)) words.shift()
+	while (words.length > 0 && isSpaceText(words[words.length - 1].text)) words.pop()
+
+	return words
+}
+
+/**
+ * Parse LRC text into timed lyric entries
+ * @param {string} lrcText - Raw LRC file content
+ * @returns {Object} Header values and entries sorted by time
+ */
+export function parseLrc(lrcText) {
+	const headers = {}
+	const entries = []
+	let pendingBreak = false
+
+	const rawLines = lrcText.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n')
+
+	rawLines.forEach(rawLine => {
+		let rest = rawLine.trim()
+
+		// Blank lines separate blocks
+		if (!rest) {
+			pendingBreak = true
+			return
+		}
+
+		// Collect all leading line tags - repeated lines can carry several
+		const times = []
+		let match = rest.match(LINE_TAG_PATTERN)
+		while (match) {
+			times.push(parseLrcTimestamp(match[1]))
+			rest = rest.slice(match[0].length)
+			match = rest.match(LINE_TAG_PATTERN)
+		}
+
+		if (times.length === 0) {
+			const headerMatch = rest.match(HEADER_PATTERN)
+			if (headerMatch) {
+				headers[headerMatch[1].toLowerCase()] = headerMatch[2].trim()
+			} else {
+				console.warn('Skipping untimed LRC line:', rawLine)
+			}
+			return
+		}
+
+		times.forEach(time => {
+			entries.push({time, body: rest, breakBefore: pendingBreak, order: entries.length})
+		})
+		pendingBreak = false
+	})
+
+	// Positive offsets make lyrics appear earlier
+	const offset = parseInt(headers.offset, 10) || 0
+	entries.forEach(entry => {
+		entry.time = Math.max(0, entry.time - offset)
+	})
+	entries.sort((a, b) => a.time - b.time || a.order - b.order)
+
+	return {headers, offset, entries}
+}
+
+/**
+ * Import LRC or Enhanced LRC text as karaoke data
+ * Empty timed lines and blank lines start a new block
+ * @param {string} lrcText - Raw LRC file content
+ * @param {Object} options - Import options
+ * @param {string} options.audioFileName - Name of the audio file for the JSON
+ * @param {string} options.language - Project language for word and char segmentation
+ * @returns {Object} Karaoke data with timestamps pre-filled
+ */
+export function importLrc(lrcText, {audioFileName = null, language = 'en'} = {}) {
+	const {headers, offset, entries} = parseLrc(lrcText)
+	const blocks = []
+	let currentLines = []
+
+	const closeBlock = (endTime) => {
+		if (currentLines.length === 0) return
+		const blockStart = Math.min(...currentLines.map(line => line.start))
+		const blockEnd = Math.max(endTime || 0, ...currentLines.map(line => line.end))
+		blocks.push(createBlockToken(currentLines, {start: blockStart, end: blockEnd, voice: 1}))
+		currentLines = []
+	}
+
+	entries.forEach((entry, index) => {
+		const nextEntry = entries[index + 1]
+		const parts = entry.body.split(WORD_TAG_PATTERN)
+		const plainText = parts.filter((part, partIndex) => partIndex % 2 === 0).join('').trim()
+
+		// Empty timed line closes the current block
+		if (!plainText) {
+			closeBlock(entry.time)
+			return
+		}
+
+		if (entry.breakBefore) {
+			closeBlock()
+		}
+
+		const lineStart = entry.time
+		const fallbackEnd = nextEntry ? nextEntry.time : lineStart + DEFAULT_LAST_LINE_DURATION
+
+		if (parts.length === 1) {
+			// Standard LRC line - words stay untimed
+			currentLines.push(createLineToken(plainText, {start: lineStart, end: fallbackEnd, voice: 1, language}))
+			return
+		}
+
+		// Enhanced LRC line - split into segments at the word tags
+		const segments = [{start: lineStart, text: parts[0]}]
+		for (let i = 1; i < parts.length; i += 2) {
+			segments.push({start: Math.max(0, parseLrcTimestamp(parts[i]) - offset), text: parts[i + 1]})
+		}
+
+		// A trailing tag without text marks the end of the line
+		let lineEnd = fallbackEnd
+		if (segments.length > 1 && !segments[segments.length - 1].text.trim()) {
+			lineEnd = segments.pop().start
+		}
+		const words = buildTimedWords(segments.filter(segment => segment.text), lineEnd, language)
+
+		currentLines.push(createLineToken(words.map(word => word.text).join(''), {
+			start: lineStart,
+			end: lineEnd,
+			voice: 1,
+			words,
+			language
+		}))
+	})
+	closeBlock()
+
+	const karaokeData = {
+		version: KARAOKE_FORMAT_VERSION,
+		audioFile: audioFileName,
+		language,
+		voices: createDefaultVoices(),
+		blocks
+	}
+	if (headers.ti) karaokeData.title = headers.ti
+	if (headers.ar) karaokeData.artist = headers.ar
+
+	return karaokeData
+}
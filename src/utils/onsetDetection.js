@@ -0,0 +1,322 @@
+/**
+ * Onset Detection
+ *
+ * Offline spectral-flux onset detection used to pre-time words.
+ * Features:
+ * - OfflineAudioContext pass that mixes down, resamples and band-passes to the vocal range
+ * - Spectral flux on log-compressed magnitude spectra
+ * - Adaptive threshold peak picking
+ * - Word start proposals inside a recorded line, aligned to the strongest onsets in order
+ */
+
+import {getWordText, isSpaceText} from './karaokeText'
+
+// Analysis parameters
+export const ANALYSIS_SAMPLE_RATE = 22050
+const FRAME_SIZE = 512
+const HOP_SIZE = 256
+const VOCAL_LOW_HZ = 200
+const VOCAL_HIGH_HZ = 4000
+const THRESHOLD_WINDOW = 10 // Frames on each side for the adaptive threshold
+const THRESHOLD_MULTIPLIER = 1.4
+const THRESHOLD_OFFSET = 0.02 // Relative to the strongest flux value
+const MIN_ONSET_INTERVAL = 80 // ms
+
+// Proposal parameters
+const MIN_WORD_DURATION = 60 // ms
+const FALLBACK_COST = 0.15 // Cost of placing a word without an onset (fraction of the line)
+const STRENGTH_WEIGHT = 0.4 // How much a strong onset may be preferred over a closer one
+
+/**
+ * Render the audio through the analysis chain
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @returns {Promise<Float32Array>} Mono band-passed samples at ANALYSIS_SAMPLE_RATE
+ */
+export function renderAnalysisSignal(audioBuffer) {
+	const length = Math.ceil(audioBuffer.duration * ANALYSIS_SAMPLE_RATE)
+	const offlineContext = new OfflineAudioContext(1, length, ANALYSIS_SAMPLE_RATE)
+
+	const source = offlineContext.createBufferSource()
+	source.buffer = audioBuffer
+
+	const highPass = offlineContext.createBiquadFilter()
+	highPass.type = 'highpass'
+	highPass.frequency.value = VOCAL_LOW_HZ
+
+	const lowPass = offlineContext.createBiquadFilter()
+	lowPass.type = 'lowpass'
+	lowPass.frequency.value = VOCAL_HIGH_HZ
+
+	source.connect(highPass)
+	highPass.connect(lowPass)
+	lowPass.connect(offlineContext.destination)
+	source.start()
+
+	return offlineContext.startRendering().then(rendered => rendered.getChannelData(0))
+}
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float32Array} real - Real parts, length must be a power of two
+ * @param {Float32Array} imag - Imaginary parts
+ */
+const fft = (real, imag) => {
+	const n = real.length
+
+	// Bit reversal permutation
+	for (let i = 1, j = 0; i < n; i++) {
+		let bit = n >> 1
+		for (; j & bit; bit >>= 1) j ^= bit
+		j ^= bit
+		if (i < j) {
+			const tempReal = real[i]
+			const tempImag = imag[i]
+			real[i] = real[j]
+			imag[i] = imag[j]
+			real[j] = tempReal
+			imag[j] = tempImag
+		}
+	}
+
+	for (let size = 2; size <= n; size <<= 1) {
+		const angle = -2 * Math.PI / size
+		const stepReal = Math.cos(angle)
+		const stepImag = Math.sin(angle)
+		for (let start = 0; start < n; start += size) {
+			let wReal = 1
+			let wImag = 0
+			for (let k = 0; k < size / 2; k++) {
+				const a = start + k
+				const b = a + size / 2
+				const tReal = wReal * real[b] - wImag * imag[b]
+				const tImag = wReal * imag[b] + wImag * real[b]
+				real[b] = real[a] - tReal
+				imag[b] = imag[a] - tImag
+				real[a] += tReal
+				imag[a] += tImag
+				const nextReal = wReal * stepReal - wImag * stepImag
+				wImag = wReal * stepImag + wImag * stepReal
+				wReal = nextReal
+			}
+		}
+	}
+}
+
+/**
+ * Compute the spectral flux of a signal
+ * @param {Float32Array} samples - Mono samples
+ * @returns {Float32Array} Flux per hop, normalized to 0..1
+ */
+export function computeSpectralFlux(samples) {
+	const frameCount = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1)
+	const flux = new Float32Array(frameCount)
+	const window = new Float32Array(FRAME_SIZE)
+	for (let i = 0; i < FRAME_SIZE; i++) {
+		window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1)) // Hann
+	}
+
+	const real = new Float32Array(FRAME_SIZE)
+	const imag = new Float32Array(FRAME_SIZE)
+	let previousSpectrum = new Float32Array(FRAME_SIZE / 2)
+	let currentSpectrum = new Float32Array(FRAME_SIZE / 2)
+	let maxFlux = 0
+
+	for (let frame = 0; frame < frameCount; frame++) {
+		const offset = frame * HOP_SIZE
+		for (let i = 0; i < FRAME_SIZE; i++) {
+			real[i] = samples[offset + i] * window[i]
+			imag[i] = 0
+		}
+		fft(real, imag)
+
+		// Sum of positive log-magnitude increases
+		let frameFlux = 0
+		for (let bin = 0; bin < FRAME_SIZE / 2; bin++) {
+			currentSpectrum[bin] = Math.log1p(100 * Math.hypot(real[bin], imag[bin]))
+			const increase = currentSpectrum[bin] - previousSpectrum[bin]
+			if (increase > 0) frameFlux += increase
+		}
+		flux[frame] = frame === 0 ? 0 : frameFlux
+		maxFlux = Math.max(maxFlux, flux[frame])
+
+		const swap = previousSpectrum
+		previousSpectrum = currentSpectrum
+		currentSpectrum = swap
+	}
+
+	if (maxFlux > 0) {
+		for (let i = 0; i < flux.length; i++) flux[i] /= maxFlux
+	}
+	return flux
+}
+
+/**
+ * Pick onsets from spectral flux with an adaptive threshold
+ * @param {Float32Array} flux - Normalized spectral flux
+ * @returns {Array} Onsets with time (ms) and strength (0..1)
+ */
+export function pickOnsets(flux) {
+	const hopMs = HOP_SIZE / ANALYSIS_SAMPLE_RATE * 1000
+	const onsets = []
+
+	for (let i = 1; i < flux.length - 1; i++) {
+		const from = Math.max(0, i - THRESHOLD_WINDOW)
+		const to = Math.min(flux.length - 1, i + THRESHOLD_WINDOW)
+		let sum = 0
+		for (let j = from; j <= to; j++) sum += flux[j]
+		const threshold = sum / (to - from + 1) * THRESHOLD_MULTIPLIER + THRESHOLD_OFFSET
+
+		const isPeak = flux[i] > flux[i - 1] && flux[i] >= flux[i + 1]
+		if (!isPeak || flux[i] <= threshold) continue
+
+		// Center of the frame
+		const time = Math.round((i * HOP_SIZE + FRAME_SIZE / 2) / ANALYSIS_SAMPLE_RATE * 1000)
+		const previous = onsets[onsets.length - 1]
+		if (previous && time - previous.time < Math.max(MIN_ONSET_INTERVAL, hopMs)) {
+			// Keep the stronger of two close onsets
+			if (flux[i] > previous.strength) {
+				onsets[onsets.length - 1] = {time, strength: flux[i]}
+			}
+			continue
+		}
+		onsets.push({time, strength: flux[i]})
+	}
+
+	return onsets
+}
+
+/**
+ * Run the full onset analysis
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @returns {Promise<Array>} Onsets with time (ms) and strength
+ */
+export function detectOnsets(audioBuffer) {
+	return renderAnalysisSignal(audioBuffer).then(samples => pickOnsets(computeSpectralFlux(samples)))
+}
+
+/**
+ * Get the indexes of the sung (non-space) words of a line
+ * @param {Object} line - Line token with words
+ * @returns {Array<number>} Word indexes
+ */
+export function getSungWordIndexes(line) {
+	if (!Array.isArray(line.words)) return []
+	return line.words
+		.map((word, wordIndex) => isSpaceText(getWordText(word)) ? -1 : wordIndex)
+		.filter(wordIndex => wordIndex >= 0)
+}
+
+/**
+ * Propose start times for the sung words of a recorded line
+ * Words are aligned in order to onsets close to their expected position,
+ * words without a fitting onset keep their expected position
+ * @param {Object} line - Line token with start, end and words
+ * @param {Array} onsets - Onsets from detectOnsets
+ * @returns {Array<number>|null} One start (ms) per sung word, null if the line is not timed
+ */
+export function proposeWordStarts(line, onsets) {
+	const sungWordIndexes = getSungWordIndexes(line)
+	if (sungWordIndexes.length === 0 || !(line.end > line.start)) return null
+
+	const lineDuration = line.end - line.start
+	const texts = sungWordIndexes.map(wordIndex => getWordText(line.words[wordIndex]))
+
+	// Expected starts from text length
+	const totalLength = texts.reduce((sum, text) => sum + text.length, 0)
+	let lengthBefore = 0
+	const expected = texts.map(text => {
+		const time = line.start + lineDuration * lengthBefore / totalLength
+		lengthBefore += text.length
+		return time
+	})
+
+	// The first word starts with the line, the others are aligned to onsets
+	const lineOnsets = onsets.filter(onset =>
+		onset.time > line.start + MIN_WORD_DURATION && onset.time < line.end - MIN_WORD_DURATION
+	)
+	// Strength relative to the strongest onset of the line, quiet passages count as much as loud ones
+	const maxStrength = lineOnsets.reduce((max, onset) => Math.max(max, onset.strength), 0)
+	const candidates = lineOnsets.map(onset => ({...onset, strength: maxStrength > 0 ? onset.strength / maxStrength : 0}))
+	const starts = [line.start, ...alignToOnsets(expected.slice(1), candidates, lineDuration)]
+
+	// Keep starts in order with room for every word
+	for (let i = 1; i < starts.length; i++) {
+		starts[i] = Math.max(starts[i], starts[i - 1] + MIN_WORD_DURATION)
+	}
+	return starts.map(start => Math.round(Math.min(start, line.end)))
+}
+
+/**
+ * Turn sung word starts into timings for every word of a line
+ * Sung words last until the next one starts, spaces get zero length at the word end
+ * @param {Object} line - Line token with start, end and words
+ * @param {Array<number>} starts - One start (ms) per sung word
+ * @returns {Array} Timings {wordIndex, start, end} for every word
+ */
+export function wordTimingsFromStarts(line, starts) {
+	const sungWordIndexes = getSungWordIndexes(line)
+	let sungIndex = 0
+	let previousEnd = line.start
+
+	return line.words.map((word, wordIndex) => {
+		if (sungWordIndexes[sungIndex] !== wordIndex) {
+			return {wordIndex, start: previousEnd, end: previousEnd}
+		}
+		const start = starts[sungIndex]
+		const end = sungIndex < starts.length - 1 ? starts[sungIndex + 1] : line.end
+		sungIndex++
+		previousEnd = end
+		return {wordIndex, start, end}
+	})
+}
+
+/**
+ * Align expected times to candidates keeping their order (dynamic programming)
+ * Also used for block boundaries, where the candidates are vocal gaps
+ * @param {Array<number>} expected - Expected times in ms
+ * @param {Array} onsets - Candidates in time order with time and strength (0..1)
+ * @param {number} scale - Duration used to normalize distances
+ * @returns {Array<number>} One time per expected entry
+ */
+export function alignToOnsets(expected, onsets, scale) {
+	const wordCount = expected.length
+	const onsetCount = onsets.length
+	if (wordCount === 0) return []
+
+	// cost[i][j]: best cost for the first i words with the last used onset < j
+	const cost = Array.from({length: wordCount + 1}, () => new Array(onsetCount + 1).fill(Infinity))
+	const choice = Array.from({length: wordCount + 1}, () => new Array(onsetCount + 1).fill(null))
+	cost[0].fill(0)
+
+	for (let i = 1; i <= wordCount; i++) {
+		for (let j = 0; j <= onsetCount; j++) {
+			// Word without onset
+			let best = cost[i - 1][j] + FALLBACK_COST
+			let bestChoice = {onset: -1, previous: j}
+
+			// Word placed on onset k < j
+			for (let k = 0; k < j; k++) {
+				const onset = onsets[k]
+				const candidate = cost[i - 1][k] +
+					Math.abs(onset.time - expected[i - 1]) / scale - STRENGTH_WEIGHT * onset.strength
+				if (candidate < best) {
+					best = candidate
+					bestChoice = {onset: k, previous: k}
+				}
+			}
+
+			cost[i][j] = best
+			choice[i][j] = bestChoice
+		}
+	}
+
+	// Walk back from the best final state
+	const times = new Array(wordCount)
+	let j = onsetCount
+	for (let i = wordCount; i >= 1; i--) {
+		const {onset, previous} = choice[i][j]
+		times[i - 1] = onset >= 0 ? onsets[onset].time : expected[i - 1]
+		j = previous
+	}
+	return times
+}
@@ -0,0 +1,65 @@
+/**
+ * Parallel Text
+ *
+ * Translation and romanization lines shown under the sung lines.
+ * Features:
+ * - Optional per-line "translation" and "romanization" fields
+ * - Parallel texts pasted separately and aligned by line
+ */
+
+export const PARALLEL_TEXT_FIELDS = [
+	{key: 'romanization', label: 'Romanization'},
+	{key: 'translation', label: 'Translation'}
+]
+
+/**
+ * Split a parallel text into lines the same way lyrics are split
+ * Empty lines separate blocks in the lyrics and are skipped here as well
+ * @param {string} text - Pasted translation or romanization
+ * @returns {Array<string>} Non-empty lines
+ */
+export function splitParallelLines(text) {
+	return text.replace(/\r\n/g, '\n').replace(/\r/g, '\n')
+		.split('\n')
+		.map(line => line.trim())
+		.filter(line => line.length > 0)
+}
+
+/**
+ * Count the lines of karaoke data
+ * @param {Object} data - Karaoke data
+ * @returns {number} Number of lines over all blocks
+ */
+export function countKaraokeLines(data) {
+	return (data?.blocks || []).reduce((count, block) => count + (block.lines || []).length, 0)
+}
+
+/**
+ * Store a parallel text on the lines of karaoke data, line by line in song order
+ * Lines without a counterpart lose the field, extra parallel lines are ignored
+ * @param {Object} data - Karaoke data (not modified)
+ * @param {string} field - 'translation' or 'romanization'
+ * @param {string} text - Pasted parallel text
+ * @returns {Object} Copy of the data with the field set
+ */
+export function applyParallelText(data, field, text) {
+	const parallelLines = splitParallelLines(text)
+	let lineIndex = 0
+
+	return {
+		...data,
+		blocks: data.blocks.map(block => ({
+			...block,
+			lines: block.lines.map(line => {
+				const parallelLine = parallelLines[lineIndex++]
+				const updatedLine = {...line}
+				if (parallelLine) {
+					updatedLine[field] = parallelLine
+				} else {
+					delete updatedLine[field]
+				}
+				return updatedLine
+			})
+		}))
+	}
+}
@@ -0,0 +1,162 @@
+/**
+ * Project Storage
+ *
+ * Persists karaoke projects of the create flow in IndexedDB.
+ * Features:
+ * - Project records with karaoke JSON, voices, recording mode and active token
+ * - Audio blobs stored separately so autosaves stay small
+ * - List of saved projects for resuming, newest first
+ */
+
+const DB_NAME = 'karaoke-app'
+const DB_VERSION = 1
+const PROJECT_STORE = 'projects'
+const AUDIO_STORE = 'audio'
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise} Resolves with the request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+	request.onsuccess = () => resolve(request.result)
+	request.onerror = () => reject(request.error)
+})
+
+/**
+ * Open the project database, creating the stores on first use
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+const openDatabase = () => {
+	if (typeof indexedDB === 'undefined') {
+		return Promise.reject(new Error('IndexedDB is not available in this browser'))
+	}
+
+	const request = indexedDB.open(DB_NAME, DB_VERSION)
+	request.onupgradeneeded = () => {
+		const db = request.result
+		if (!db.objectStoreNames.contains(PROJECT_STORE)) {
+			db.createObjectStore(PROJECT_STORE, {keyPath: 'id'})
+		}
+		if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+			db.createObjectStore(AUDIO_STORE, {keyPath: 'projectId'})
+		}
+	}
+	return promisifyRequest(request)
+}
+
+/**
+ * Run a callback inside a transaction and wait for it to complete
+ * @param {Array<string>} storeNames - Stores used by the transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Called with the transaction, may return a request
+ * @returns {Promise} Resolves with the returned request's result
+ */
+const runTransaction = (storeNames, mode, callback) => {
+	return openDatabase().then(db => new Promise((resolve, reject) => {
+		const transaction = db.transaction(storeNames, mode)
+		const request = callback(transaction)
+		transaction.oncomplete = () => {
+			db.close()
+			resolve(request ? request.result : undefined)
+		}
+		transaction.onerror = () => {
+			db.close()
+			reject(transaction.error)
+		}
+		transaction.onabort = () => {
+			db.close()
+			reject(transaction.error)
+		}
+	}))
+}
+
+/**
+ * Create a new unique project id
+ * @returns {string} Project id
+ */
+export function createProjectId() {
+	return `project-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+/**
+ * Save the state of a project, keeping the stored audio untouched
+ * @param {Object} project - Project state
+ * @param {string} project.id - Project id
+ * @param {string} project.name - Display name
+ * @param {Object} project.karaokeData - Karaoke JSON
+ * @param {Array} project.voices - Voices
+ * @param {string} project.recordingMode - Current recording mode
+ * @param {number} project.activeTokenIndex - Current token index
+ * @param {string} project.audioFileName - Name of the audio file
+ * @returns {Promise} Resolves when saved
+ */
+export function saveProject(project) {
+	const record = {...project, updatedAt: Date.now()}
+	return runTransaction([PROJECT_STORE], 'readwrite', transaction =>
+		transaction.objectStore(PROJECT_STORE).put(record)
+	)
+}
+
+/**
+ * Store the audio of a project
+ * @param {string} projectId - Project id
+ * @param {Blob} audioBlob - Audio file or blob
+ * @param {string} fileName - Original file name
+ * @returns {Promise} Resolves when saved
+ */
+export function saveProjectAudio(projectId, audioBlob, fileName) {
+	return runTransaction([AUDIO_STORE], 'readwrite', transaction =>
+		transaction.objectStore(AUDIO_STORE).put({
+			projectId,
+			blob: audioBlob,
+			fileName: fileName || audioBlob.name || 'audio',
+			type: audioBlob.type
+		})
+	)
+}
+
+/**
+ * Load a project together with its audio
+ * @param {string} projectId - Project id
+ * @returns {Promise<Object|null>} Project with audioFile (File or null), null if not found
+ */
+export function loadProject(projectId) {
+	let projectRequest
+	let audioRequest
+	return runTransaction([PROJECT_STORE, AUDIO_STORE], 'readonly', transaction => {
+		projectRequest = transaction.objectStore(PROJECT_STORE).get(projectId)
+		audioRequest = transaction.objectStore(AUDIO_STORE).get(projectId)
+	}).then(() => {
+		const project = projectRequest.result
+		if (!project) return null
+
+		const audio = audioRequest.result
+		const audioFile = audio
+			? new File([audio.blob], audio.fileName, {type: audio.type})
+			: null
+		return {...project, audioFile}
+	})
+}
+
+/**
+ * List saved projects without their audio, newest first
+ * @returns {Promise<Array>} Project records
+ */
+export function listProjects() {
+	return runTransaction([PROJECT_STORE], 'readonly', transaction =>
+		transaction.objectStore(PROJECT_STORE).getAll()
+	).then(projects => projects.sort((a, b) => b.updatedAt - a.updatedAt))
+}
+
+/**
+ * Delete a project and its audio
+ * @param {string} projectId - Project id
+ * @returns {Promise} Resolves when deleted
+ */
+export function deleteProject(projectId) {
+	return runTransaction([PROJECT_STORE, AUDIO_STORE], 'readwrite', transaction => {
+		transaction.objectStore(PROJECT_STORE).delete(projectId)
+		transaction.objectStore(AUDIO_STORE).delete(projectId)
+	})
+}
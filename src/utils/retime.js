@@ -0,0 +1,71 @@
+/**
+ * Retiming
+ *
+ * Maps every timestamp of a song to a new audio master.
+ * Features:
+ * - Global offset
+ * - Linear stretch through two anchor points (old time → new time)
+ * - Applied to blocks, lines, words, syllables and chars, untimed tokens stay untimed
+ * - Tokens moved before the song start are clamped to it but stay timed
+ */
+
+import {isTimedToken} from './karaokeText'
+
+/**
+ * Create a time mapping function
+ * @param {Object} options - Retime options
+ * @param {string} options.mode - 'offset' or 'anchors'
+ * @param {number} options.offset - Offset in ms for 'offset'
+ * @param {Array} options.anchors - Two anchors {from, to} in ms for 'anchors'
+ * @returns {Function} Maps an old time (ms) to a new time (ms)
+ * @throws {Error} If the anchors do not define a forward mapping
+ */
+export function createRetimeMapping({mode, offset = 0, anchors = []}) {
+	if (mode === 'offset') {
+		return (time) => time + offset
+	}
+
+	const [first, second] = anchors
+	if (!first || !second || first.from === second.from) {
+		throw new Error('The two anchors need different old times')
+	}
+	const scale = (second.to - first.to) / (second.from - first.from)
+	if (!(scale > 0)) {
+		throw new Error('The anchors must keep their order (later old time → later new time)')
+	}
+	return (time) => first.to + (time - first.from) * scale
+}
+
+const MIN_RECORDED_END = 1 // ms, 0/0 would mark a recorded token as untimed
+
+/**
+ * Apply a time mapping to all tokens of karaoke data
+ * @param {Object} data - Karaoke data (not modified)
+ * @param {Function} mapTime - Mapping from createRetimeMapping
+ * @returns {Object} Retimed copy of the data
+ */
+export function retimeKaraokeData(data, mapTime) {
+	const retimedData = JSON.parse(JSON.stringify(data)) // Deep copy
+
+	const retimeToken = (token) => {
+		if (!isTimedToken(token)) return
+		token.start = Math.max(0, Math.round(mapTime(token.start)))
+		token.end = Math.max(token.start, MIN_RECORDED_END, Math.round(mapTime(token.end)))
+	}
+
+	retimedData.blocks.forEach(block => {
+		retimeToken(block)
+		if (!block.lines) return
+		block.lines.forEach(line => {
+			retimeToken(line)
+			if (!line.words) return
+			line.words.forEach(word => {
+				retimeToken(word)
+				if (word.syllables) word.syllables.forEach(retimeToken)
+				if (word.chars) word.chars.forEach(retimeToken)
+			})
+		})
+	})
+
+	return retimedData
+}
@@ -0,0 +1,107 @@
+/**
+ * Ruby Annotations
+ *
+ * Readings (furigana) shown above the base text of words and chars.
+ * Entered in lyrics as 漢字{かんじ}, the reading belongs to the kanji run before the braces.
+ * Features:
+ * - Markup parsing into plain text and reading ranges
+ * - Words split or merged so every annotated base is a word of its own
+ * - Single annotated kanji inside a longer word are kept as char readings (食{た}べる)
+ * - Readings are stored as the optional "reading" field of words and chars
+ */
+
+// Base of a reading: the kanji run before the braces, otherwise the text back to the previous space
+const KANJI_RUN = /[\p{Script=Han}々〆ヶ]+$/u
+const WORD_RUN = /[^\s{}]+$/u
+const RUBY_MARKUP = /\{([^{}]*)\}/g
+
+/**
+ * Parse ruby markup out of a line
+ * @param {string} text - Line text, may contain 漢字{かんじ} markup
+ * @returns {Object} Plain text and annotations [{start, end, reading}] with offsets into the plain text
+ */
+export function parseRubyMarkup(text) {
+	const annotations = []
+	let plainText = ''
+	let lastIndex = 0
+
+	for (const match of text.matchAll(RUBY_MARKUP)) {
+		plainText += text.slice(lastIndex, match.index)
+		lastIndex = match.index + match[0].length
+
+		// Bases never reach into the previous annotation
+		const previousEnd = annotations.length > 0 ? annotations[annotations.length - 1].end : 0
+		const available = plainText.slice(previousEnd)
+		const base = (available.match(KANJI_RUN) || available.match(WORD_RUN) || [''])[0]
+		const reading = match[1].trim()
+		if (base && reading) {
+			annotations.push({start: plainText.length - base.length, end: plainText.length, reading})
+		}
+	}
+	plainText += text.slice(lastIndex)
+
+	return {text: plainText, annotations}
+}
+
+/**
+ * Remove ruby markup from lyrics text
+ * @param {string} text - Text with {reading} markup
+ * @returns {string} Text without readings
+ */
+export function stripRubyMarkup(text) {
+	return parseRubyMarkup(text).text
+}
+
+/**
+ * Fit the word split of a line to its annotations
+ * @param {Array<string>} words - Word texts from splitWords, joined they give the plain text
+ * @param {Array} annotations - Annotations from parseRubyMarkup
+ * @param {Function} countChars - Returns the number of chars of a text (graphemes)
+ * @returns {Array<string>} Word texts with their markup put back in
+ */
+export function fitWordsToRuby(words, annotations, countChars) {
+	const spans = []
+	let offset = 0
+	words.forEach(text => {
+		spans.push({start: offset, end: offset + text.length})
+		offset += text.length
+	})
+	const plainText = words.join('')
+
+	// A single char inside a longer word keeps the word and gets a char reading
+	const isCharReading = (annotation) => countChars(plainText.slice(annotation.start, annotation.end)) === 1 &&
+		spans.some(span => span.start <= annotation.start && span.end >= annotation.end &&
+			span.end - span.start > annotation.end - annotation.start)
+	const wordAnnotations = annotations.filter(annotation => !isCharReading(annotation))
+	const charAnnotations = annotations.filter(isCharReading)
+
+	// Word boundaries, cut at annotation edges and removed inside annotated bases
+	const cuts = new Set([0, plainText.length])
+	spans.forEach(span => cuts.add(span.start))
+	wordAnnotations.forEach(annotation => {
+		cuts.add(annotation.start)
+		cuts.add(annotation.end)
+	})
+	const boundaries = [...cuts]
+		.filter(cut => !wordAnnotations.some(annotation => cut > annotation.start && cut < annotation.end))
+		.sort((a, b) => a - b)
+
+	const result = []
+	for (let i = 0; i < boundaries.length - 1; i++) {
+		const start = boundaries[i]
+		const end = boundaries[i + 1]
+
+		// Put the readings back after their bases, last first so the offsets stay valid
+		let text = plainText.slice(start, end)
+		charAnnotations
+			.filter(annotation => annotation.start >= start && annotation.end <= end)
+			.reverse()
+			.forEach(annotation => {
+				const baseEnd = annotation.end - start
+				text = `${text.slice(0, baseEnd)}{${annotation.reading}}${text.slice(baseEnd)}`
+			})
+		const wordAnnotation = wordAnnotations.find(annotation => annotation.start === start && annotation.end === end)
+		result.push(wordAnnotation ? `${text}{${wordAnnotation.reading}}` : text)
+	}
+	return result
+}
@@ -0,0 +1,127 @@
+/**
+ * Stage Layout
+ *
+ * Places the lines of each voice in its region of the playback screen.
+ * Features:
+ * - 3x3 stage regions from the voice positions (C, L, R, U, D, TL, TR, DL, DR)
+ * - Lines shown shortly before they start and until shortly after they end
+ * - Simultaneous lines of different voices grouped side by side per region
+ * - "Both" voices sung by several members, drawn in their blended colors
+ */
+
+// Row and column (0-2) of each position
+export const STAGE_REGIONS = {
+	TL: {row: 0, column: 0},
+	U: {row: 0, column: 1},
+	TR: {row: 0, column: 2},
+	L: {row: 1, column: 0},
+	C: {row: 1, column: 1},
+	R: {row: 1, column: 2},
+	DL: {row: 2, column: 0},
+	D: {row: 2, column: 1},
+	DR: {row: 2, column: 2}
+}
+
+const LEAD_IN = 2000 // ms a line is shown before it starts
+const HOLD = 500 // ms a line stays after it ends
+const MAX_LINES_PER_VOICE = 2
+
+/**
+ * Get the stage position of a line
+ * Line position wins, then a block position other than the default center, then the voice default
+ * @param {Object} line - Line token
+ * @param {Object} block - Block of the line
+ * @param {Object} voice - Voice of the line or undefined
+ * @returns {string} Position key of STAGE_REGIONS
+ */
+export function getLinePosition(line, block, voice) {
+	const candidates = [line.position, block.position !== 'C' ? block.position : '', voice?.default_position]
+	return candidates.find(position => position && STAGE_REGIONS[position]) || 'C'
+}
+
+/**
+ * Collect the lines shown on the stage at a point in time
+ * If nothing is shown, every voice shows its next line
+ * @param {Object} data - Karaoke data
+ * @param {number} timeMs - Playback time in ms
+ * @returns {Array} Entries {line, block, blockIndex, lineIndex, voiceId, position}
+ */
+export function getStageLines(data, timeMs) {
+	const entries = []
+	const blocks = data?.blocks || []
+	blocks.forEach((block, blockIndex) => {
+		block.lines.forEach((line, lineIndex) => {
+			const voiceId = line.voice || block.voice || 0
+			const voice = (data.voices || []).find(v => v.id === voiceId)
+			entries.push({line, block, blockIndex, lineIndex, voiceId, position: getLinePosition(line, block, voice)})
+		})
+	})
+
+	let visible = entries.filter(({line}) => timeMs >= line.start - LEAD_IN && timeMs <= line.end + HOLD)
+	if (visible.length === 0) {
+		const upcoming = entries.filter(({line}) => line.start > timeMs).sort((a, b) => a.line.start - b.line.start)
+		visible = upcoming.filter((entry, index) =>
+			upcoming.findIndex(other => other.voiceId === entry.voiceId) === index
+		)
+	}
+
+	// Current and next line of each voice
+	return visible
+		.sort((a, b) => a.line.start - b.line.start)
+		.filter((entry, index, sorted) =>
+			sorted.slice(0, index).filter(other => other.voiceId === entry.voiceId).length < MAX_LINES_PER_VOICE
+		)
+}
+
+/**
+ * Group stage entries by region and voice
+ * @param {Array} entries - Entries from getStageLines
+ * @returns {Array} Groups {position, row, column, voices: [{voiceId, entries}]}
+ */
+export function groupStageLines(entries) {
+	const groups = []
+	entries.forEach(entry => {
+		let group = groups.find(g => g.position === entry.position)
+		if (!group) {
+			group = {position: entry.position, ...STAGE_REGIONS[entry.position], voices: []}
+			groups.push(group)
+		}
+		let voiceGroup = group.voices.find(v => v.voiceId === entry.voiceId)
+		if (!voiceGroup) {
+			voiceGroup = {voiceId: entry.voiceId, entries: []}
+			group.voices.push(voiceGroup)
+		}
+		voiceGroup.entries.push(entry)
+	})
+	return groups
+}
+
+/**
+ * Get the voices a combined voice is sung by
+ * @param {Object} voice - Voice with an optional members list of voice ids
+ * @param {Array} voices - All voices
+ * @returns {Array} Member voices, empty for a single singer
+ */
+export function getMemberVoices(voice, voices) {
+	if (!voice || !Array.isArray(voice.members)) return []
+	return voice.members
+		.map(id => voices.find(v => v.id === id))
+		.filter(member => member && member.id !== voice.id)
+}
+
+/**
+ * Mix colors by averaging their channels
+ * @param {Array<string>} colors - Hex colors (#rrggbb)
+ * @returns {string} Mixed hex color
+ */
+export function blendColors(colors) {
+	const channels = [0, 0, 0]
+	colors.forEach(color => {
+		for (let i = 0; i < 3; i++) {
+			channels[i] += parseInt(color.slice(1 + i * 2, 3 + i * 2), 16) || 0
+		}
+	})
+	return '#' + channels
+		.map(sum => Math.round(sum / Math.max(1, colors.length)).toString(16).padStart(2, '0'))
+		.join('')
+}
@@ -0,0 +1,174 @@
+/**
+ * Syllable Splitting
+ *
+ * Splits words into the syllables singers hold. Syllables are stored next to
+ * the chars of a word (word.syllables), every syllable covers a run of chars.
+ * Features:
+ * - Manual split markers in pasted lyrics (beau|ti|ful)
+ * - Rule-based hyphenation for English and German, other languages keep whole words
+ * - Mapping between syllables and the chars they cover
+ */
+
+export const SYLLABLE_MARKER = '|'
+
+export const HYPHENATION_LANGUAGES = [
+	{value: 'en', label: 'English'},
+	{value: 'de', label: 'German'}
+]
+
+// Letters that form the nucleus of a syllable
+const VOWELS = {
+	en: 'aeiouyàáâäèéêëìíîïòóôöùúûü',
+	de: 'aeiouyäöüàáâèéêìíîòóôùúû'
+}
+
+// Consonant groups that start the next syllable (ma-chen, ta-ble)
+const ONSET_CLUSTERS = {
+	en: ['chr', 'phr', 'shr', 'thr', 'str', 'spr', 'scr', 'spl', 'ch', 'sh', 'th', 'ph', 'wh', 'qu',
+		'bl', 'br', 'cl', 'cr', 'dr', 'fl', 'fr', 'gl', 'gr', 'pl', 'pr', 'tr', 'tw'],
+	de: ['sch', 'ch', 'ck', 'ph', 'qu', 'th']
+}
+
+// Consonant groups that stay with the previous syllable (pick-ing, sing-er)
+const CODA_CLUSTERS = {
+	en: ['ck', 'ng', 'x'],
+	de: []
+}
+
+/**
+ * Find the split offset inside the consonants between two vowel groups
+ * @param {string} consonants - Lowercase consonants between the vowels
+ * @param {string} language - Hyphenation language
+ * @returns {number} Number of consonants that stay with the previous syllable
+ */
+const findClusterSplit = (consonants, language) => {
+	if (consonants.length === 0) return 0
+
+	// The next syllable takes one consonant, or a whole onset cluster
+	const onset = ONSET_CLUSTERS[language].find(cluster => consonants.endsWith(cluster))
+	let split = consonants.length - (onset ? onset.length : 1)
+
+	// Coda clusters stay together with the previous syllable
+	CODA_CLUSTERS[language].forEach(cluster => {
+		const index = consonants.indexOf(cluster)
+		if (index !== -1 && split >= index && split < index + cluster.length) {
+			split = index + cluster.length
+		}
+	})
+
+	return split
+}
+
+/**
+ * Hyphenate a single word
+ * @param {string} text - Word text without markers
+ * @param {string} language - Hyphenation language ('en' or 'de')
+ * @returns {Array<string>} Syllable texts
+ */
+const hyphenate = (text, language) => {
+	const vowels = VOWELS[language]
+	const lower = Array.from(text).map(char => char.toLowerCase().charAt(0))
+	const chars = Array.from(text)
+	const isVowel = (index) => vowels.includes(lower[index]) &&
+		!(lower[index] === 'y' && index === 0) && // Leading y is a consonant (you, yes)
+		!(lower[index] === 'u' && lower[index - 1] === 'q') // qu is a consonant cluster
+
+	// Vowel groups as [first, last] indexes
+	const groups = []
+	lower.forEach((char, index) => {
+		if (!isVowel(index)) return
+		const lastGroup = groups[groups.length - 1]
+		if (lastGroup && lastGroup[1] === index - 1) {
+			lastGroup[1] = index
+		} else {
+			groups.push([index, index])
+		}
+	})
+
+	// English silent final e (love, time), but not -le (ta-ble)
+	if (language === 'en' && groups.length > 1) {
+		const letters = lower.join('').replace(/[^a-zà-ü]+$/, '')
+		const lastGroup = groups[groups.length - 1]
+		if (letters.endsWith('e') && lastGroup[0] === letters.length - 1 && lastGroup[1] === lastGroup[0] &&
+			!/[^aeiouy]le$/.test(letters)) {
+			groups.pop()
+		}
+	}
+
+	if (groups.length < 2) return [text]
+
+	// Split between vowel groups
+	const splits = []
+	for (let i = 0; i < groups.length - 1; i++) {
+		const consonantStart = groups[i][1] + 1
+		const consonantEnd = groups[i + 1][0]
+		const consonants = lower.slice(consonantStart, consonantEnd).join('')
+		if (/[^a-zß-ÿ]/.test(consonants)) continue // Don't split across apostrophes or hyphens
+		splits.push(consonantStart + findClusterSplit(consonants, language))
+	}
+
+	const syllables = []
+	let previous = 0
+	splits.forEach(split => {
+		if (split > previous) {
+			syllables.push(chars.slice(previous, split).join(''))
+			previous = split
+		}
+	})
+	syllables.push(chars.slice(previous).join(''))
+	return syllables
+}
+
+/**
+ * Split a word into syllable texts
+ * Manual markers win over hyphenation
+ * @param {string} text - Word text, may contain | markers
+ * @param {string} language - Project language, only 'en' and 'de' are hyphenated
+ * @returns {Array<string>} Syllable texts, joined they give the word without markers
+ */
+export function splitSyllables(text, language = 'en') {
+	if (text.includes(SYLLABLE_MARKER)) {
+		const parts = text.split(SYLLABLE_MARKER).filter(part => part.length > 0)
+		return parts.length > 0 ? parts : [text.replaceAll(SYLLABLE_MARKER, '')]
+	}
+	if (text.trim() === '' || !VOWELS[language]) return [text]
+	return hyphenate(text, language)
+}
+
+/**
+ * Remove manual syllable markers from lyrics text
+ * @param {string} text - Text with | markers
+ * @returns {string} Text without markers
+ */
+export function stripSyllableMarkers(text) {
+	return text.replaceAll(SYLLABLE_MARKER, '')
+}
+
+/**
+ * Get the chars covered by each syllable of a word
+ * @param {Object} word - Word token with syllables and chars
+ * @returns {Array} One range {first, last} of char indexes per syllable
+ */
+export function getSyllableCharRanges(word) {
+	const syllables = word.syllables || []
+	const chars = word.chars || []
+	const charOffsets = []
+	let offset = 0
+	chars.forEach(char => {
+		charOffsets.push(offset)
+		offset += (char.text || '').length
+	})
+
+	let syllableOffset = 0
+	return syllables.map(syllable => {
+		const syllableStart = syllableOffset
+		syllableOffset += (syllable.text || '').length
+		const indexes = charOffsets
+			.map((charOffset, index) => ({charOffset, index}))
+			.filter(({charOffset}) => charOffset >= syllableStart && charOffset < syllableOffset)
+			.map(({index}) => index)
+		return indexes.length > 0
+			? {first: indexes[0], last: indexes[indexes.length - 1]}
+			: {first: -1, last: -1}
+	})
+}
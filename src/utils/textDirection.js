@@ -0,0 +1,46 @@
+/**
+ * Text Direction
+ *
+ * Writing direction of lyric lines for right-to-left scripts.
+ * Features:
+ * - Per-project direction setting (auto, left-to-right, right-to-left)
+ * - Detection from the first strong character of a line, like dir="auto"
+ * - Fallback to the project language for lines without letters
+ */
+
+import {getLineText} from './karaokeText'
+
+export const TEXT_DIRECTIONS = [
+	{value: 'auto', label: 'Auto (per line)'},
+	{value: 'ltr', label: 'Left to right'},
+	{value: 'rtl', label: 'Right to left'}
+]
+
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur', 'yi']
+
+// First letter of the line decides, as in the Unicode bidi algorithm
+const STRONG_CHAR = /\p{L}/u
+const RTL_CHAR = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u
+
+/**
+ * Detect the direction of a text from its first strong character
+ * @param {string} text - Any text
+ * @returns {string|null} 'rtl', 'ltr' or null if the text has no letters
+ */
+export function detectTextDirection(text) {
+	const strongChar = Array.from(text).find(char => STRONG_CHAR.test(char))
+	if (!strongChar) return null
+	return RTL_CHAR.test(strongChar) ? 'rtl' : 'ltr'
+}
+
+/**
+ * Get the direction a line is rendered and wiped in
+ * @param {Object} line - Line token
+ * @param {Object} data - Karaoke data with the optional direction and language settings
+ * @returns {string} 'rtl' or 'ltr'
+ */
+export function getLineDirection(line, data) {
+	if (data?.direction === 'rtl' || data?.direction === 'ltr') return data.direction
+	return detectTextDirection(getLineText(line)) ||
+		(RTL_LANGUAGES.includes(data?.language) ? 'rtl' : 'ltr')
+}
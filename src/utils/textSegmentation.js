@@ -0,0 +1,140 @@
+/**
+ * Text Segmentation
+ *
+ * Unicode-aware splitting of lyrics into words and user-perceived characters.
+ * Features:
+ * - Grapheme clusters via Intl.Segmenter (emoji, combining accents, Devanagari clusters)
+ * - Dictionary word segmentation for scripts written without spaces (Japanese, Chinese, Thai, ...)
+ * - Per-project language passed to the segmenters
+ * - Syllable markers (|) kept inside words instead of splitting them
+ * - Fallback to code points when Intl.Segmenter is not available
+ */
+
+import {SYLLABLE_MARKER} from './syllables'
+
+export const LYRICS_LANGUAGES = [
+	{value: 'en', label: 'English'},
+	{value: 'de', label: 'German'},
+	{value: 'fr', label: 'French'},
+	{value: 'es', label: 'Spanish'},
+	{value: 'it', label: 'Italian'},
+	{value: 'ja', label: 'Japanese'},
+	{value: 'zh', label: 'Chinese'},
+	{value: 'ko', label: 'Korean'},
+	{value: 'th', label: 'Thai'},
+	{value: 'hi', label: 'Hindi'},
+	{value: 'ar', label: 'Arabic'},
+	{value: 'he', label: 'Hebrew'},
+	{value: 'fa', label: 'Persian'}
+]
+
+// Scripts that don't separate words with spaces
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u
+
+const segmenters = new Map() // Created once per language and granularity
+
+/**
+ * Get a cached Intl.Segmenter
+ * @param {string} language - BCP 47 language tag
+ * @param {string} granularity - 'grapheme' or 'word'
+ * @returns {Intl.Segmenter|null} Segmenter or null if the browser has none
+ */
+const getSegmenter = (language, granularity) => {
+	if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null
+
+	const key = `${language}-${granularity}`
+	if (!segmenters.has(key)) {
+		let segmenter
+		try {
+			segmenter = new Intl.Segmenter(language, {granularity})
+		} catch (error) {
+			console.warn(`Unknown segmentation language "${language}", using the default`, error)
+			segmenter = new Intl.Segmenter(undefined, {granularity})
+		}
+		segmenters.set(key, segmenter)
+	}
+	return segmenters.get(key)
+}
+
+/**
+ * Split text into grapheme clusters
+ * @param {string} text - Any text
+ * @param {string} language - Project language
+ * @returns {Array<string>} User-perceived characters
+ */
+export function segmentGraphemes(text, language = 'en') {
+	const segmenter = getSegmenter(language, 'grapheme')
+	if (!segmenter) return Array.from(text)
+	return Array.from(segmenter.segment(text), segment => segment.segment)
+}
+
+/**
+ * Split a run of text without spaces into dictionary words
+ * Punctuation sticks to the word before it (or after it at the start)
+ * @param {string} text - Text without spaces
+ * @param {string} language - Project language
+ * @returns {Array<string>} Words
+ */
+const segmentUnspacedWords = (text, language) => {
+	const segmenter = getSegmenter(language, 'word')
+	if (!segmenter) return [text]
+
+	const words = []
+	let leading = ''
+	for (const {segment, isWordLike} of segmenter.segment(text)) {
+		if (isWordLike) {
+			words.push(leading + segment)
+			leading = ''
+		} else if (words.length > 0) {
+			words[words.length - 1] += segment
+		} else {
+			leading += segment
+		}
+	}
+	if (leading) words.push(leading)
+	return words
+}
+
+/**
+ * Split a run of text without spaces into words, keeping its syllable markers
+ * The run is segmented without the markers, which are then put back into the words they fall in
+ * @param {string} text - Text without spaces, may contain syllable markers
+ * @param {string} language - Project language
+ * @returns {Array<string>} Words with their inner markers
+ */
+const segmentMarkedWords = (text, language) => {
+	const parts = text.split(SYLLABLE_MARKER)
+	const markerOffsets = []
+	let offset = 0
+	parts.slice(0, -1).forEach(part => {
+		offset += part.length
+		markerOffsets.push(offset)
+	})
+
+	let wordStart = 0
+	return segmentUnspacedWords(parts.join(''), language).map(word => {
+		const wordEnd = wordStart + word.length
+		let markedWord = ''
+		let copied = 0
+		// Markers on word boundaries are dropped, the boundary already splits there
+		markerOffsets.filter(markerOffset => markerOffset > wordStart && markerOffset < wordEnd).forEach(markerOffset => {
+			markedWord += word.slice(copied, markerOffset - wordStart) + SYLLABLE_MARKER
+			copied = markerOffset - wordStart
+		})
+		wordStart = wordEnd
+		return markedWord + word.slice(copied)
+	})
+}
+
+/**
+ * Split line text into word and space tokens
+ * Text between spaces is only split further if it contains a script written without spaces
+ * @param {string} text - Text of a single line
+ * @param {string} language - Project language
+ * @returns {Array<string>} Words with every space kept as its own token
+ */
+export function segmentWords(text, language = 'en') {
+	return text.split(/( )/g)
+		.filter(word => word.length > 0)
+		.flatMap(word => word !== ' ' && UNSPACED_SCRIPT.test(word) ? segmentMarkedWords(word, language) : [word])
+}
@@ -0,0 +1,35 @@
+/**
+ * Timecode Helpers
+ *
+ * Formats and parses millisecond times for editable timing fields.
+ */
+
+/**
+ * Format milliseconds as mm:ss.mmm
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} Timecode, e.g. 01:23.456
+ */
+export function formatTimecode(ms) {
+	const totalMs = Math.max(0, Math.round(ms || 0))
+	const minutes = Math.floor(totalMs / 60000)
+	const seconds = Math.floor((totalMs % 60000) / 1000)
+	const milliseconds = totalMs % 1000
+	return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`
+}
+
+/**
+ * Parse a timecode into milliseconds
+ * Accepts mm:ss.mmm, m:ss, ss.mmm or plain seconds
+ * @param {string} text - Timecode text
+ * @returns {number|null} Time in milliseconds, null if invalid
+ */
+export function parseTimecode(text) {
+	const match = String(text).trim().match(/^(?:(\d+):)?(\d+(?:\.\d*)?)$/)
+	if (!match) return null
+
+	const minutes = match[1] ? parseInt(match[1], 10) : 0
+	const seconds = parseFloat(match[2])
+	if (match[1] && seconds >= 60) return null
+
+	return Math.round((minutes * 60 + seconds) * 1000)
+}
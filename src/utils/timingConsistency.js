@@ -0,0 +1,287 @@
+/**
+ * Timing Consistency Checker
+ *
+ * Finds timing mistakes left after recording and proposes fixes.
+ * Features:
+ * - Overlapping siblings and siblings out of order
+ * - Children outside their parent's range
+ * - Zero-length (except spaces) and negative tokens
+ * - Tokens still untimed after their level was recorded past them
+ * - Chars that don't cover their word
+ * - One-click fixes, applied one by one or all together
+ */
+
+import {isTimedToken} from './karaokeText'
+
+// Child collections of each token level, words hold syllables next to their chars
+const CHILD_LEVELS = {
+	block: [{key: 'lines', type: 'line'}],
+	line: [{key: 'words', type: 'word'}],
+	word: [{key: 'syllables', type: 'syllable'}, {key: 'chars', type: 'char'}],
+	syllable: [],
+	char: []
+}
+
+const MIN_TOKEN_DURATION = 100 // ms, length given to zero-length tokens when there is room
+const MAX_FIX_PASSES = 10 // Fixes can reveal follow-up problems, e.g. a parent extended into its sibling
+
+/**
+ * Check if a value is a finite number
+ * @param {*} value - Value to check
+ * @returns {boolean} True for finite numbers
+ */
+const isNumber = (value) => typeof value === 'number' && isFinite(value)
+
+/**
+ * Check if a token only contains whitespace (never recorded)
+ * @param {Object} token - Any token
+ * @returns {boolean} True for space tokens
+ */
+const isSpace = (token) => typeof token.text === 'string' && token.text.trim() === ''
+
+/**
+ * Flatten the karaoke data into token entries per level in song order
+ * @param {Object} data - Karaoke data
+ * @returns {Object} Entries {token, type, path, ref, parent, siblings, index} per level
+ */
+const collectTokens = (data) => {
+	const levels = {block: [], line: [], word: [], syllable: [], char: []}
+	const refKeys = {block: 'blockIndex', line: 'lineIndex', word: 'wordIndex', syllable: 'syllableIndex', char: 'charIndex'}
+
+	const visit = (siblings, type, path, parentRef, parent) => {
+		siblings.forEach((token, index) => {
+			if (!token || typeof token !== 'object') return
+			const tokenPath = `${path}[${index}]`
+			const ref = {...parentRef, type, [refKeys[type]]: index, text: token.text || ''}
+			levels[type].push({token, type, path: tokenPath, ref, parent, siblings, index})
+
+			CHILD_LEVELS[type].forEach(child => {
+				if (Array.isArray(token[child.key])) {
+					visit(token[child.key], child.type, `${tokenPath}.${child.key}`, ref, token)
+				}
+			})
+		})
+	}
+
+	if (Array.isArray(data?.blocks)) visit(data.blocks, 'block', 'blocks', {}, null)
+	return levels
+}
+
+/**
+ * Find the free range around untimed siblings
+ * @param {Object} entry - Token entry
+ * @returns {Object} Run of untimed sibling indexes and the free range {start, end}
+ */
+const getUntimedRun = (entry) => {
+	const {siblings, index, parent} = entry
+	let first = index
+	let last = index
+	while (first > 0 && !isTimedToken(siblings[first - 1])) first--
+	while (last < siblings.length - 1 && !isTimedToken(siblings[last + 1])) last++
+
+	const start = first > 0 ? siblings[first - 1].end : (parent ? parent.start : 0)
+	const end = last < siblings.length - 1 ? siblings[last + 1].start : (parent ? parent.end : start)
+	const indexes = []
+	for (let i = first; i <= last; i++) {
+		if (!isSpace(siblings[i])) indexes.push(i)
+	}
+	return {indexes, start, end}
+}
+
+/**
+ * Check karaoke data for timing problems
+ * @param {Object} data - Karaoke data
+ * @returns {Array} Problems {kind, path, message, ref, fix}, fix is {label, ref, changes} or null
+ */
+export function checkTimingConsistency(data) {
+	const problems = []
+	const levels = collectTokens(data)
+
+	const report = (kind, entry, message, fix = null) => {
+		problems.push({kind, path: entry.path, message, ref: entry.ref, fix})
+	}
+
+	Object.keys(levels).forEach(type => {
+		const entries = levels[type]
+
+		// Untimed tokens before the last recorded token of this level were skipped
+		let lastTimedIndex = -1
+		entries.forEach((entry, i) => {
+			if (isTimedToken(entry.token)) lastTimedIndex = i
+		})
+
+		entries.forEach((entry, i) => {
+			const {token, parent, siblings, index} = entry
+
+			if (!isNumber(token.start) || !isNumber(token.end)) return
+
+			if (!isTimedToken(token)) {
+				if (isSpace(token) || i > lastTimedIndex || (parent && !isTimedToken(parent))) return
+				const run = getUntimedRun(entry)
+				const share = (run.end - run.start) / run.indexes.length
+				const position = run.indexes.indexOf(index)
+				report('untimed', entry, `${type} "${token.text || ''}" is still at 0 after recording`, share > 0 ? {
+					label: 'Fill the gap between its neighbours',
+					ref: entry.ref,
+					changes: {
+						start: Math.round(run.start + share * position),
+						end: Math.round(run.start + share * (position + 1))
+					}
+				} : null)
+				return
+			}
+
+			if (token.start < 0 || token.end < 0) {
+				report('negative', entry, `Negative timestamp ${token.start}-${token.end}`, {
+					label: 'Clamp to 0',
+					ref: entry.ref,
+					changes: {start: Math.max(0, token.start), end: Math.max(0, token.end)}
+				})
+			} else if (token.start > token.end) {
+				report('negative', entry, `Ends before it starts (${token.start}-${token.end})`, {
+					label: 'Swap start and end',
+					ref: entry.ref,
+					changes: {start: token.end, end: token.start}
+				})
+			} else if (token.start === token.end && !isSpace(token)) { // Spaces may take no time
+				const nextTimed = siblings.slice(index + 1).find(isTimedToken)
+				const limits = [token.start + MIN_TOKEN_DURATION]
+				if (nextTimed) limits.push(nextTimed.start)
+				if (parent && isTimedToken(parent)) limits.push(parent.end)
+				const end = Math.min(...limits)
+				report('zero-length', entry, `Zero-length ${type} at ${token.start}ms`, end > token.start ? {
+					label: `Extend to ${end - token.start}ms`,
+					ref: entry.ref,
+					changes: {end}
+				} : null)
+			}
+
+			// Overlap with the next recorded sibling
+			const next = siblings.slice(index + 1).find(isTimedToken)
+			if (next && next.start < token.start) {
+				report('order', entry, `Next ${type} "${next.text || ''}" starts before this one (${next.start}ms < ${token.start}ms)`)
+			} else if (next && next.start < token.end) {
+				report('overlap', entry, `Overlaps the next ${type} "${next.text || ''}" by ${token.end - next.start}ms`, {
+					label: `End at ${next.start}ms`,
+					ref: entry.ref,
+					changes: {end: next.start}
+				})
+			}
+
+			// Children outside the range, fixed by extending the parent like the recording propagation does
+			CHILD_LEVELS[type].forEach(child => {
+				const children = Array.isArray(token[child.key]) ? token[child.key].filter(isTimedToken) : []
+				if (children.length === 0) return
+
+				const childStart = Math.min(...children.map(c => c.start))
+				const childEnd = Math.max(...children.map(c => c.end))
+				const outside = children.filter(c => c.start < token.start || c.end > token.end)
+				if (outside.length > 0) {
+					report('outside', entry, `${outside.length} ${child.type}(s) lie outside ${token.start}-${token.end}`, {
+						label: `Extend to ${Math.min(token.start, childStart)}-${Math.max(token.end, childEnd)}`,
+						ref: entry.ref,
+						changes: {start: Math.min(token.start, childStart), end: Math.max(token.end, childEnd)}
+					})
+				}
+
+				// Chars must cover their whole word
+				if (child.type === 'char' && (childStart > token.start || childEnd < token.end)) {
+					const firstChar = token.chars.indexOf(children[0])
+					const lastChar = token.chars.indexOf(children[children.length - 1])
+					const fixes = []
+					if (childStart > token.start) fixes.push({index: firstChar, changes: {start: token.start}})
+					if (childEnd < token.end) fixes.push({index: lastChar, changes: {end: token.end}})
+					fixes.forEach(({index: charIndex, changes}) => {
+						report('chars', entry, `Chars cover ${childStart}-${childEnd}, word is ${token.start}-${token.end}`, {
+							label: `Stretch char "${token.chars[charIndex].text || ''}" to the word ${Object.keys(changes)[0]}`,
+							ref: {...entry.ref, type: 'char', charIndex, text: token.chars[charIndex].text || ''},
+							changes
+						})
+					})
+				}
+			})
+		})
+	})
+
+	return problems
+}
+
+/**
+ * Find the object of a problem reference inside karaoke data
+ * @param {Object} data - Karaoke data
+ * @param {Object} ref - Problem reference with type and indices
+ * @returns {Object|undefined} Token object
+ */
+const findToken = (data, ref) => {
+	const block = data.blocks?.[ref.blockIndex]
+	const line = block?.lines?.[ref.lineIndex]
+	const word = line?.words?.[ref.wordIndex]
+	return {
+		block,
+		line,
+		word,
+		syllable: word?.syllables?.[ref.syllableIndex],
+		char: word?.chars?.[ref.charIndex]
+	}[ref.type]
+}
+
+/**
+ * Keep recorded children inside a token after its range changed
+ * @param {Object} token - Token with new timing
+ * @param {string} type - Token type
+ */
+const clampDescendants = (token, type) => {
+	CHILD_LEVELS[type].forEach(child => {
+		if (!Array.isArray(token[child.key])) return
+		token[child.key].forEach(c => {
+			if (!c || !isTimedToken(c)) return
+			c.start = Math.min(Math.max(c.start, token.start), token.end)
+			c.end = Math.min(Math.max(c.end, c.start), token.end)
+			clampDescendants(c, child.type)
+		})
+	})
+}
+
+/**
+ * Write a fix into karaoke data
+ * Children are clamped so a shrunk token does not leave them outside
+ * @param {Object} data - Karaoke data (modified)
+ * @param {Object} fix - Fix of a problem from checkTimingConsistency
+ */
+const writeFix = (data, fix) => {
+	const token = findToken(data, fix.ref)
+	if (!token) return
+	Object.assign(token, fix.changes)
+	clampDescendants(token, fix.ref.type)
+}
+
+/**
+ * Apply a single fix
+ * @param {Object} data - Karaoke data (not modified)
+ * @param {Object} fix - Fix of a problem from checkTimingConsistency
+ * @returns {Object} Fixed copy of the data
+ */
+export function applyTimingFix(data, fix) {
+	const fixedData = JSON.parse(JSON.stringify(data)) // Deep copy
+	writeFix(fixedData, fix)
+	return fixedData
+}
+
+/**
+ * Apply all available fixes, re-checking after each pass
+ * @param {Object} data - Karaoke data (not modified)
+ * @returns {Object} Fixed copy of the data and the number of applied fixes
+ */
+export function applyAllTimingFixes(data) {
+	const fixedData = JSON.parse(JSON.stringify(data)) // Deep copy
+	let applied = 0
+
+	for (let pass = 0; pass < MAX_FIX_PASSES; pass++) {
+		const fixes = checkTimingConsistency(fixedData).map(problem => problem.fix).filter(Boolean)
+		if (fixes.length === 0) break
+		fixes.forEach(fix => writeFix(fixedData, fix))
+		applied += fixes.length
+	}
+
+	return {data: fixedData, applied}
+}
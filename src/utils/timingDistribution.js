@@ -0,0 +1,155 @@
+/**
+ * Timing Distribution
+ *
+ * Spreads a time range over tokens that were not recorded.
+ * Features:
+ * - Strategies: even, by character count, by syllable count, by onset energy
+ * - Spaces take no time except with the even strategy
+ * - Fills only untimed runs between recorded siblings
+ */
+
+import {getLineText, getWordText, isSpaceText, isTimedToken} from './karaokeText'
+import {alignToOnsets} from './onsetDetection'
+
+export const DISTRIBUTION_STRATEGIES = [
+	{value: 'even', label: 'Even'},
+	{value: 'chars', label: 'By character count'},
+	{value: 'syllables', label: 'By syllable count'},
+	{value: 'onsets', label: 'By onset energy (audio)'}
+]
+
+const MIN_ONSET_DISTANCE = 60 // ms, onsets this close to the range edges are ignored
+
+/**
+ * Get the text of a block, line, word or char token
+ * @param {Object} token - Any token, text may have been cleared by cleanupTimingData
+ * @returns {string} Token text
+ */
+const getTokenText = (token) => {
+	if (Array.isArray(token.lines)) return token.lines.map(getLineText).join('')
+	if (Array.isArray(token.words)) return getLineText(token)
+	return getWordText(token)
+}
+
+/**
+ * Estimate the number of sung syllables in a text
+ * Latin, Greek and Cyrillic count vowel groups, CJK and Hangul count one per character
+ * @param {string} text - Token text
+ * @returns {number} Syllable count
+ */
+export function countSyllables(text) {
+	const lowerText = text.toLowerCase()
+	const vowelGroups = lowerText.match(/[aeiouyàáâãäåæèéêëìíîïòóôõöøùúûüýÿœαεηιουωάέήίόύώаеёиоуыэюя]+/g) || []
+	const syllabicChars = lowerText.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu) || []
+	return vowelGroups.length + syllabicChars.length
+}
+
+/**
+ * Get the share of time a token gets
+ * @param {Object} token - Any token
+ * @param {string} strategy - Distribution strategy
+ * @returns {number} Weight, 0 for spaces unless the strategy is even
+ */
+const getTokenWeight = (token, strategy) => {
+	if (strategy === 'even') return 1
+
+	const text = getTokenText(token)
+	if (text.length === 0 || isSpaceText(text)) return 0
+	if (strategy === 'syllables') {
+		return Math.max(countSyllables(text), 0.5) // Tokens without vowels count as half a syllable
+	}
+	return text.replace(/\s/g, '').length
+}
+
+/**
+ * Split a time range over tokens
+ * @param {Array} tokens - Tokens in order
+ * @param {number} start - Range start (ms)
+ * @param {number} end - Range end (ms)
+ * @param {string} strategy - Distribution strategy
+ * @param {Array} onsets - Onsets from detectOnsets, used by the onsets strategy
+ * @returns {Array} One timing {start, end} per token
+ */
+export function distributeTiming(tokens, start, end, strategy = 'chars', onsets = []) {
+	if (tokens.length === 0) return []
+
+	let weights = tokens.map(token => getTokenWeight(token, strategy))
+	let totalWeight = weights.reduce((sum, weight) => sum + weight, 0)
+	if (totalWeight === 0) {
+		weights = tokens.map(() => 1) // Only spaces, spread them evenly
+		totalWeight = tokens.length
+	}
+
+	// Token starts proportional to the weights before them
+	const duration = Math.max(0, end - start)
+	let weightBefore = 0
+	const boundaries = weights.map(weight => {
+		const time = start + duration * weightBefore / totalWeight
+		weightBefore += weight
+		return time
+	})
+	boundaries.push(end)
+
+	// Move the starts of sung tokens to nearby onsets, in order
+	if (strategy === 'onsets' && onsets.length > 0) {
+		const sungIndexes = weights.map((weight, index) => index).filter(index => index > 0 && weights[index] > 0)
+		const rangeOnsets = onsets.filter(onset =>
+			onset.time > start + MIN_ONSET_DISTANCE && onset.time < end - MIN_ONSET_DISTANCE
+		)
+		const maxStrength = rangeOnsets.reduce((max, onset) => Math.max(max, onset.strength), 0)
+		const candidates = rangeOnsets.map(onset => ({...onset, strength: maxStrength > 0 ? onset.strength / maxStrength : 0}))
+		const aligned = alignToOnsets(sungIndexes.map(index => boundaries[index]), candidates, duration || 1)
+		sungIndexes.forEach((index, i) => {
+			boundaries[index] = aligned[i]
+		})
+
+		// Spaces stay at the start of the next sung token
+		for (let i = tokens.length - 1; i > 0; i--) {
+			if (weights[i] === 0) boundaries[i] = boundaries[i + 1]
+		}
+		for (let i = 1; i < boundaries.length; i++) {
+			boundaries[i] = Math.max(boundaries[i], boundaries[i - 1])
+		}
+	}
+
+	return tokens.map((token, index) => ({
+		start: Math.round(boundaries[index]),
+		end: Math.round(boundaries[index + 1])
+	}))
+}
+
+/**
+ * Give timing to untimed runs of sibling tokens
+ * Each run fills the gap between its recorded neighbours (or the parent edges)
+ * @param {Array} tokens - Sibling tokens (modified)
+ * @param {Object} parent - Parent token with start and end
+ * @param {string} strategy - Distribution strategy
+ * @param {Array} onsets - Onsets from detectOnsets, used by the onsets strategy
+ * @returns {Array} Tokens that received timing
+ */
+export function fillUntimedTokens(tokens, parent, strategy = 'chars', onsets = []) {
+	const filled = []
+	let first = 0
+
+	while (first < tokens.length) {
+		if (isTimedToken(tokens[first])) {
+			first++
+			continue
+		}
+
+		let last = first
+		while (last < tokens.length - 1 && !isTimedToken(tokens[last + 1])) last++
+
+		const runStart = first > 0 ? tokens[first - 1].end : parent.start
+		const runEnd = last < tokens.length - 1 ? tokens[last + 1].start : parent.end
+		const run = tokens.slice(first, last + 1)
+		distributeTiming(run, runStart, Math.max(runStart, runEnd), strategy, onsets).forEach((timing, index) => {
+			Object.assign(run[index], timing)
+		})
+		filled.push(...run)
+
+		first = last + 1
+	}
+
+	return filled
+}
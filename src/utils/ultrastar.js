@@ -0,0 +1,414 @@
+/**
+ * UltraStar Format Utilities
+ *
+ * Converts karaoke data to and from UltraStar .txt song files.
+ * Features:
+ * - #TITLE / #ARTIST / #BPM / #GAP / #MP3 headers
+ * - ": beat length pitch syllable" notes (including golden, freestyle and rap notes)
+ * - "-" line breaks, with #RELATIVE:yes support
+ * - P1/P2 duet markers mapped to voices
+ * - Beat quantization from a chosen BPM on export
+ * - Syllables imported from and exported as notes
+ */
+
+import {getLineText, getWordText, isSpaceText} from './karaokeText'
+import {
+	KARAOKE_FORMAT_VERSION,
+	createBlockToken,
+	createCharToken,
+	createDefaultVoices,
+	createLineToken,
+	createSyllableToken,
+	createWordToken,
+	splitChars
+} from './karaokeBuilder'
+
+// UltraStar BPM counts quarter beats, so one beat lasts 15000 / BPM ms
+const BEAT_MS_FACTOR = 15000
+
+// Pause between two lines that starts a new block
+const BLOCK_GAP_THRESHOLD = 3000
+
+// Colors for voices created from duet markers
+const VOICE_COLORS = ['#87CEEB', '#FFB6C1', '#98FB98', '#FFD700']
+
+const NOTE_PATTERN = /^([:*FRG])\s+(-?\d+)\s+(\d+)\s+(-?\d+)\s?(.*)$/
+
+/**
+ * Parse a header number that may use a decimal comma
+ * @param {string} value - Raw header value
+ * @returns {number} Parsed number or NaN
+ */
+const parseHeaderNumber = (value) => {
+	return parseFloat(String(value || '').replace(',', '.'))
+}
+
+/**
+ * Parse UltraStar text into headers and per-voice note lines
+ * @param {string} text - Raw UltraStar file content
+ * @returns {Object} Headers and lines grouped by voice number
+ */
+export function parseUltraStar(text) {
+	const headers = {}
+	const tracks = {}
+	let voice = 1
+	let currentLine = null
+	let relativeOffset = 0
+
+	const rawLines = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n')
+	const isRelative = () => String(headers.RELATIVE || '').toLowerCase() === 'yes'
+
+	const ensureLine = () => {
+		if (!currentLine) {
+			currentLine = {syllables: []}
+			if (!tracks[voice]) tracks[voice] = []
+			tracks[voice].push(currentLine)
+		}
+		return currentLine
+	}
+
+	for (const rawLine of rawLines) {
+		const line = rawLine.replace(/^\uFEFF/, '')
+
+		if (line.startsWith('#')) {
+			const separator = line.indexOf(':')
+			if (separator > 0) {
+				headers[line.slice(1, separator).trim().toUpperCase()] = line.slice(separator + 1).trim()
+			}
+			continue
+		}
+
+		if (line.trim() === 'E') break
+
+		// Duet markers: "P1", "P2" or "P 1"
+		const voiceMatch = line.trim().match(/^P\s*(\d+)$/)
+		if (voiceMatch) {
+			voice = parseInt(voiceMatch[1], 10)
+			currentLine = null
+			relativeOffset = 0
+			continue
+		}
+
+		// Line breaks: "- beat" or "- beat offset" in relative mode
+		if (line.startsWith('-')) {
+			const beats = line.slice(1).trim().split(/\s+/).map(value => parseInt(value, 10))
+			if (currentLine) {
+				currentLine.breakBeat = relativeOffset + (beats[0] || 0)
+			}
+			if (isRelative()) {
+				relativeOffset += isNaN(beats[1]) ? (beats[0] || 0) : beats[1]
+			}
+			currentLine = null
+			continue
+		}
+
+		const noteMatch = line.match(NOTE_PATTERN)
+		if (noteMatch) {
+			ensureLine().syllables.push({
+				type: noteMatch[1],
+				beat: relativeOffset + parseInt(noteMatch[2], 10),
+				length: parseInt(noteMatch[3], 10),
+				pitch: parseInt(noteMatch[4], 10),
+				text: noteMatch[5]
+			})
+		}
+	}
+
+	return {headers, tracks}
+}
+
+/**
+ * Group syllables of a note line into words
+ * A leading or trailing space on a syllable marks a word boundary,
+ * a "~" syllable extends the previous one
+ * @param {Array} syllables - Syllables with start/end in ms
+ * @returns {Array} Words as arrays of syllables
+ */
+const groupSyllablesIntoWords = (syllables) => {
+	const words = []
+	let currentWord = null
+	let breakAfterPrevious = true
+
+	syllables.forEach(syllable => {
+		const trimmed = syllable.text.trim()
+
+		if (trimmed === '~' && currentWord) {
+			currentWord[currentWord.length - 1].end = syllable.end
+			breakAfterPrevious = breakAfterPrevious || /\s$/.test(syllable.text)
+			return
+		}
+		if (!trimmed) return
+
+		if (breakAfterPrevious || /^\s/.test(syllable.text) || !currentWord) {
+			currentWord = []
+			words.push(currentWord)
+		}
+		currentWord.push({...syllable, text: trimmed})
+		breakAfterPrevious = /\s$/.test(syllable.text)
+	})
+
+	return words
+}
+
+/**
+ * Create a word token with timed syllables, its chars are timed by their syllable
+ * @param {Array} syllables - Syllables of the word
+ * @param {number} voice - Voice id
+ * @param {string} language - Project language for char segmentation
+ * @returns {Object} Word token
+ */
+const createSyllableWord = (syllables, voice, language) => {
+	const chars = []
+	syllables.forEach(syllable => {
+		const syllableChars = splitChars(syllable.text, language)
+		const charDuration = (syllable.end - syllable.start) / syllableChars.length
+		syllableChars.forEach((charText, index) => {
+			chars.push({
+				...createCharToken(charText, {
+					start: Math.round(syllable.start + index * charDuration),
+					end: Math.round(syllable.start + (index + 1) * charDuration),
+					voice
+				}),
+				pitch: syllable.pitch
+			})
+		})
+	})
+
+	const word = createWordToken(syllables.map(syllable => syllable.text).join(''), {
+		start: syllables[0].start,
+		end: syllables[syllables.length - 1].end,
+		voice,
+		language
+	})
+	word.syllables = syllables.map(syllable => ({
+		...createSyllableToken(syllable.text, {start: syllable.start, end: syllable.end, voice}),
+		pitch: syllable.pitch
+	}))
+	word.chars = chars
+	return word
+}
+
+/**
+ * Import an UltraStar song as karaoke data
+ * Syllables become words/chars, P1/P2 become voices, line breaks become lines
+ * @param {string} text - Raw UltraStar file content
+ * @param {Object} options - Import options
+ * @param {string} options.audioFileName - Name of the audio file for the JSON
+ * @param {string} options.language - Project language for word and char segmentation
+ * @returns {Object} Karaoke data with timestamps pre-filled
+ */
+export function importUltraStar(text, {audioFileName = null, language = 'en'} = {}) {
+	const {headers, tracks} = parseUltraStar(text)
+	const bpm = parseHeaderNumber(headers.BPM)
+	if (!bpm || bpm <= 0) {
+		throw new Error('UltraStar file is missing a valid #BPM header')
+	}
+
+	const gap = parseHeaderNumber(headers.GAP) || 0
+	const beatToMs = (beat) => gap + beat * BEAT_MS_FACTOR / bpm
+	const voiceNumbers = Object.keys(tracks).map(Number).sort((a, b) => a - b)
+	const isDuet = voiceNumbers.length > 1
+
+	// Build timed lines for every voice
+	const allLines = []
+	voiceNumbers.forEach(voice => {
+		tracks[voice].forEach(noteLine => {
+			const syllables = noteLine.syllables.map(syllable => ({
+				...syllable,
+				start: Math.round(beatToMs(syllable.beat)),
+				end: Math.round(beatToMs(syllable.beat + syllable.length))
+			}))
+			const wordGroups = groupSyllablesIntoWords(syllables)
+			if (wordGroups.length === 0) return
+
+			const words = []
+			wordGroups.forEach((group, index) => {
+				if (index > 0) {
+					// Spaces sit between two sung words and take no time
+					const previousEnd = words[words.length - 1].end
+					words.push(createWordToken(' ', {start: previousEnd, end: previousEnd, voice, language}))
+				}
+				words.push(createSyllableWord(group, voice, language))
+			})
+
+			allLines.push(createLineToken(words.map(word => word.text).join(''), {
+				start: words[0].start,
+				end: words[words.length - 1].end,
+				voice,
+				words,
+				language
+			}))
+		})
+	})
+	allLines.sort((a, b) => a.start - b.start)
+
+	// Group lines into blocks at long pauses
+	const blocks = []
+	let currentLines = []
+	const closeBlock = () => {
+		if (currentLines.length === 0) return
+		const blockVoices = [...new Set(currentLines.map(line => line.voice))]
+		blocks.push(createBlockToken(currentLines, {
+			start: Math.min(...currentLines.map(line => line.start)),
+			end: Math.max(...currentLines.map(line => line.end)),
+			voice: blockVoices.length === 1 ? blockVoices[0] : 0
+		}))
+		currentLines = []
+	}
+	allLines.forEach(line => {
+		const blockEnd = currentLines.length > 0 ? Math.max(...currentLines.map(l => l.end)) : null
+		if (blockEnd !== null && line.start - blockEnd > BLOCK_GAP_THRESHOLD) {
+			closeBlock()
+		}
+		currentLines.push(line)
+	})
+	closeBlock()
+
+	const voices = isDuet
+		? voiceNumbers.map((voice, index) => ({
+			id: voice,
+			name: headers[`DUETSINGERP${voice}`] || headers[`P${voice}`] || '',
+			default_position: index === 0 ? 'L' : 'R',
+			color: VOICE_COLORS[index % VOICE_COLORS.length]
+		}))
+		: createDefaultVoices()
+
+	const karaokeData = {
+		version: KARAOKE_FORMAT_VERSION,
+		audioFile: audioFileName || headers.MP3 || null,
+		language,
+		voices,
+		blocks
+	}
+	if (headers.TITLE) karaokeData.title = headers.TITLE
+	if (headers.ARTIST) karaokeData.artist = headers.ARTIST
+	karaokeData.bpm = bpm
+
+	return karaokeData
+}
+
+/**
+ * Check if text looks like an UltraStar song file
+ * @param {string} text - Raw file content
+ * @returns {boolean} True if #BPM header and notes are present
+ */
+export function isUltraStarText(text) {
+	return /^#BPM:/mi.test(text) && text.split(/\r?\n/).some(line => NOTE_PATTERN.test(line))
+}
+
+/**
+ * Collect the notes to write for a line
+ * Timed words become one note each (one per syllable if those are timed), untimed lines become a single note
+ * @param {Object} line - Line token from cleaned karaoke data
+ * @returns {Array} Notes with text, start/end in ms and pitch
+ */
+const getLineNotes = (line) => {
+	if (!Array.isArray(line.words) || line.words.length === 0) {
+		return [{text: getLineText(line), start: line.start, end: line.end, pitch: 0}]
+	}
+
+	const notes = []
+	let pendingSpace = false
+	line.words.forEach(word => {
+		const wordText = getWordText(word)
+		if (isSpaceText(wordText)) {
+			pendingSpace = notes.length > 0
+			return
+		}
+		const pitchedChar = Array.isArray(word.chars) ? word.chars.find(char => typeof char.pitch === 'number') : null
+		const timedSyllables = Array.isArray(word.syllables)
+			? word.syllables.filter(syllable => syllable.end > syllable.start)
+			: []
+		if (timedSyllables.length > 1 && timedSyllables.length === word.syllables.length) {
+			timedSyllables.forEach((syllable, index) => {
+				notes.push({
+					text: (pendingSpace && index === 0 ? ' ' : '') + syllable.text,
+					start: syllable.start,
+					end: syllable.end,
+					pitch: typeof syllable.pitch === 'number' ? syllable.pitch : (pitchedChar ? pitchedChar.pitch : 0)
+				})
+			})
+			pendingSpace = false
+			return
+		}
+		notes.push({
+			text: (pendingSpace ? ' ' : '') + wordText,
+			start: word.start,
+			end: word.end,
+			pitch: pitchedChar ? pitchedChar.pitch : 0
+		})
+		pendingSpace = false
+	})
+	return notes
+}
+
+/**
+ * Export karaoke data as an UltraStar song
+ * Note beats are quantized to the given BPM, #GAP is the first sung note
+ * @param {Object} data - Cleaned karaoke data (see cleanupTimingData)
+ * @param {Object} options - Export options
+ * @param {number} options.bpm - UltraStar BPM used for quantization
+ * @param {string} options.title - Value for #TITLE
+ * @param {string} options.artist - Value for #ARTIST
+ * @param {string} options.audioFileName - Value for #MP3
+ * @returns {string} UltraStar file content
+ */
+export function exportUltraStar(data, {bpm = 300, title = '', artist = '', audioFileName = ''} = {}) {
+	if (!data || !Array.isArray(data.blocks)) return ''
+
+	const beatMs = BEAT_MS_FACTOR / bpm
+	const allLines = data.blocks.flatMap(block => block.lines.map(line => ({
+		...line,
+		voice: line.voice || block.voice || 0,
+		notes: getLineNotes(line).filter(note => note.text.trim())
+	}))).filter(line => line.notes.length > 0)
+
+	const gap = allLines.length > 0 ? Math.min(...allLines.map(line => line.notes[0].start)) : 0
+	const toBeat = (ms) => Math.round((ms - gap) / beatMs)
+
+	// Split lines into duet parts when more than one voice sings
+	const voiceIds = (data.voices || []).map(voice => voice.id)
+	const usedVoices = [...new Set(allLines.map(line => line.voice))]
+		.filter(voice => voiceIds.includes(voice))
+		.sort((a, b) => voiceIds.indexOf(a) - voiceIds.indexOf(b))
+	const isDuet = usedVoices.length > 1
+	const getPart = (line) => isDuet ? Math.max(1, usedVoices.indexOf(line.voice) + 1) : 1
+
+	const output = []
+	if (title) output.push(`#TITLE:${title}`)
+	if (artist) output.push(`#ARTIST:${artist}`)
+	if (audioFileName) output.push(`#MP3:${audioFileName}`)
+	output.push(`#BPM:${bpm}`)
+	output.push(`#GAP:${Math.round(gap)}`)
+	if (isDuet) {
+		usedVoices.forEach((voiceId, index) => {
+			const voice = data.voices.find(v => v.id === voiceId)
+			output.push(`#DUETSINGERP${index + 1}:${voice?.name || `Voice ${voiceId}`}`)
+		})
+	}
+
+	const parts = isDuet ? usedVoices.map((voiceId, index) => index + 1) : [1]
+	parts.forEach(part => {
+		if (isDuet) output.push(`P${part}`)
+
+		const partLines = allLines.filter(line => getPart(line) === part)
+		partLines.forEach((line, lineIndex) => {
+			let lastBeat = null
+			line.notes.forEach(note => {
+				// Notes must not overlap after quantization
+				const beat = lastBeat === null ? toBeat(note.start) : Math.max(lastBeat, toBeat(note.start))
+				const length = Math.max(1, toBeat(note.end) - beat)
+				output.push(`: ${beat} ${length} ${note.pitch} ${note.text}`)
+				lastBeat = beat + length
+			})
+
+			const nextLine = partLines[lineIndex + 1]
+			if (nextLine) {
+				output.push(`- ${Math.min(lastBeat, Math.max(0, toBeat(nextLine.notes[0].start)))}`)
+			}
+		})
+	})
+	output.push('E')
+
+	return output.join('\n') + '\n'
+}